@@ -19,14 +19,15 @@ function loadInventoryHosts(config) {
     ? inventoryFile
     : path.join(config.__configDir || process.cwd(), inventoryFile);
   const group = config.inventoryGroup || config.inventory_group || null;
-  return parseInventoryFile(fullPath, group);
+  return parseInventoryFile(fullPath, group, { sshConfig: config.sshConfig });
 }
 
 function normalizeHosts(config) {
   if (Array.isArray(config.hosts) && config.hosts.length > 0) return config.hosts;
   const inventoryHosts = loadInventoryHosts(config);
   if (inventoryHosts.length > 0) return inventoryHosts;
-  if (config.remoteHost && config.remoteUser) {
+  // remoteUser may be omitted when remoteHost is an ~/.ssh/config alias
+  if (config.remoteHost) {
     return [
       {
         name: "default",
@@ -40,42 +41,194 @@ function normalizeHosts(config) {
   return [];
 }
 
-function buildSteps(deployer, steps = []) {
+function resolveConfigPath(config, filePath) {
+  if (!filePath || filePath.startsWith("~") || path.isAbsolute(filePath)) return filePath;
+  return path.join(config.__configDir || process.cwd(), filePath);
+}
+
+function connectionOptions(config, host) {
+  const pick = (key) => host[key] ?? config[key];
+  return {
+    privateKeyPath: resolveConfigPath(config, pick("privateKeyPath")),
+    passphrase: pick("passphrase"),
+    password: pick("password"),
+    agent: pick("agent") ?? false,
+    keyFiles: pick("keyFiles"),
+    hostKeyPolicy: pick("hostKeyPolicy"),
+    knownHostsFile: resolveConfigPath(config, pick("knownHostsFile")),
+    fingerprint: host.fingerprint,
+    // inventory.ini uses jump=, YAML uses jumpHost:
+    jumpHost: host.jumpHost ?? host.jump ?? config.jumpHost,
+    readyTimeout: pick("readyTimeout"),
+    retries: pick("retries"),
+    retryDelay: pick("retryDelay"),
+    keepaliveInterval: pick("keepaliveInterval"),
+    sudoPassword: pick("sudoPassword"),
+  };
+}
+
+// become: true | "<user>" | { user, password } -> sshCommand/transferFiles sudo options
+function becomeOptions(step) {
+  const become = step.become;
+  if (!become) return {};
+  if (become === true) return { sudo: true };
+  if (typeof become === "string") return { sudo: true, sudoUser: become };
+  return { sudo: true, sudoUser: become.user, sudoPassword: become.password };
+}
+
+// hostDir: per-host subfolder for fetch steps when the config has several hosts
+function buildSteps(deployer, steps = [], hostDir = null) {
   return steps.map((s) => {
     const stepName = s.name || s.step || s.type || "step";
     if (s.type === "local") {
-      return { step: stepName, command: () => deployer.local(s.command) };
+      return {
+        step: stepName,
+        timeout: s.timeout,
+        command: () =>
+          deployer.local(s.command, {
+            cwd: s.cwd,
+            env: s.env,
+            allowFailure: s.allowFailure,
+            okExitCodes: s.okExitCodes,
+          }),
+      };
     }
     if (s.type === "ssh") {
-      return { step: stepName, command: () => deployer.sshCommand(s.command) };
+      return {
+        step: stepName,
+        timeout: s.timeout,
+        command: () =>
+          deployer.sshCommand(s.command, {
+            ...becomeOptions(s),
+            cwd: s.cwd,
+            env: s.env,
+            allowFailure: s.allowFailure,
+            okExitCodes: s.okExitCodes,
+          }),
+      };
+    }
+    if (s.type === "script") {
+      return {
+        step: stepName,
+        timeout: s.timeout,
+        command: () =>
+          deployer.script(s.path, {
+            ...becomeOptions(s),
+            args: s.args,
+            interpreter: s.interpreter,
+            cwd: s.cwd,
+            env: s.env,
+            allowFailure: s.allowFailure,
+            okExitCodes: s.okExitCodes,
+          }),
+      };
+    }
+    if (s.type === "template") {
+      return {
+        step: stepName,
+        timeout: s.timeout,
+        command: () => deployer.template(s.template, s.dest, s.vars, { ...becomeOptions(s), mode: s.mode }),
+      };
     }
     if (s.type === "transfer") {
       return {
         step: stepName,
-        command: () => deployer.transferFiles(s.localPath, s.destinationPath),
+        timeout: s.timeout,
+        command: () =>
+          deployer.transferFiles(s.localPath, s.destinationPath, {
+            ...becomeOptions(s),
+            include: s.include,
+            exclude: s.exclude,
+            incremental: s.incremental,
+            deleteRemoved: s.deleteRemoved,
+            verify: s.verify,
+            uploadRetries: s.uploadRetries,
+            stream: s.stream,
+            compression: s.compression,
+            compressionLevel: s.compressionLevel,
+            mode: s.mode,
+            dirMode: s.dirMode,
+            owner: s.owner,
+            group: s.group,
+            preservePermissions: s.preservePermissions,
+            followSymlinks: s.followSymlinks,
+            method: s.method,
+            concurrency: s.concurrency,
+            mirror: s.mirror,
+            delete: s.delete,
+            protect: s.protect,
+            dryRun: s.dryRun,
+            strategy: s.strategy,
+            release: s.release,
+          }),
+      };
+    }
+    if (s.type === "fetch") {
+      return {
+        step: stepName,
+        timeout: s.timeout,
+        command: () =>
+          deployer.fetchFiles(s.remotePath, s.localPath, {
+            ...becomeOptions(s),
+            include: s.include,
+            exclude: s.exclude,
+            hostDir,
+          }),
       };
     }
     throw new Error(`Unsupported step type: ${s.type}`);
   });
 }
 
-async function runConfig(config, watchMode = false) {
+// Fetched files go into <localPath>/<host name> when there are several hosts
+function hostDir(hosts, host) {
+  return hosts.length > 1 ? host.name || host.host : null;
+}
+
+// --json: transfer progress as one JSON object per line on stdout
+function jsonProgress(host) {
+  return (event) => {
+    process.stdout.write(
+      `${JSON.stringify({ type: "progress", host: host.name || host.host, ...event })}\n`
+    );
+  };
+}
+
+function createDeployer(config, host, { json = false } = {}) {
+  return new Daffodil({
+    remoteUser: host.user || config.remoteUser,
+    remoteHost: host.host || config.remoteHost,
+    remotePath: host.remotePath || config.remotePath || ".",
+    port: host.port || config.port,
+    ignoreFile: config.ignoreFile || ".scpignore",
+    verbose: Boolean(config.verbose),
+    sshConfig: config.sshConfig,
+    remoteEnv: { ...config.remoteEnv, ...host.remoteEnv },
+    // Host entry fields (incl. custom inventory.ini attributes) for templates
+    templateVars: { ...config.vars, ...host, ...host.vars },
+    // strategy: releases -> releases/<name>, shared/ and a current symlink
+    strategy: host.strategy ?? config.strategy,
+    keepReleases: host.keepReleases ?? config.keepReleases,
+    sharedDirs: host.sharedDirs ?? config.sharedDirs,
+    sharedFiles: host.sharedFiles ?? config.sharedFiles,
+    // stream: true pipes transfer archives straight into a remote tar
+    stream: host.stream ?? config.stream,
+    // method: sftp (or auto) for hosts without tar
+    method: host.method ?? config.method,
+    ...connectionOptions(config, host),
+    onProgress: json ? jsonProgress(host) : undefined,
+  });
+}
+
+async function runConfig(config, watchMode = false, json = false) {
   const hosts = normalizeHosts(config);
   if (!hosts.length) throw new Error("No hosts found in YAML config.");
   const steps = Array.isArray(config.steps) ? config.steps : [];
   if (!steps.length) throw new Error("No steps provided in YAML config.");
 
   for (const host of hosts) {
-    const deployer = new Daffodil({
-      remoteUser: host.user || config.remoteUser,
-      remoteHost: host.host || config.remoteHost,
-      remotePath: host.remotePath || config.remotePath || ".",
-      port: host.port || config.port || 22,
-      ignoreFile: config.ignoreFile || ".scpignore",
-      verbose: Boolean(config.verbose),
-    });
-
-    const runSteps = buildSteps(deployer, steps);
+    const deployer = createDeployer(config, host, { json });
+    const runSteps = buildSteps(deployer, steps, hostDir(hosts, host));
     if (watchMode) {
       const watch = config.watch || {};
       await deployer
@@ -97,6 +250,35 @@ async function runConfig(config, watchMode = false) {
   }
 }
 
+// Where a host's releases live: releasesPath, else the destinationPath of the
+// first transfer step that deploys releases, else remotePath (undefined)
+function releasesBasePath(config, host) {
+  const releasesPath = host.releasesPath ?? config.releasesPath;
+  if (releasesPath) return releasesPath;
+  const strategy = host.strategy ?? config.strategy;
+  const steps = Array.isArray(config.steps) ? config.steps : [];
+  const releaseStep = steps.find(
+    (s) => s.type === "transfer" && (s.strategy ?? strategy) === "releases"
+  );
+  return releaseStep?.destinationPath;
+}
+
+// jsdaffodil rollback: repoint `current` on every host, then run afterRollback steps
+async function runRollback(config, to, json = false) {
+  const hosts = normalizeHosts(config);
+  if (!hosts.length) throw new Error("No hosts found in YAML config.");
+  const afterRollback = Array.isArray(config.afterRollback) ? config.afterRollback : [];
+
+  for (const host of hosts) {
+    const deployer = createDeployer(config, host, { json });
+    await deployer.rollback({
+      to,
+      basePath: releasesBasePath(config, host),
+      afterRollback: buildSteps(deployer, afterRollback, hostDir(hosts, host)),
+    });
+  }
+}
+
 async function main() {
   const args = process.argv.slice(2);
   let configPath = ".daffodil.yml";
@@ -110,9 +292,24 @@ async function main() {
     );
     process.exit(1);
   }
+  const json = args.includes("--json");
+  if (json) {
+    // stdout carries only JSON lines; banners and logs go to stderr
+    // (spinners and progress bars already write there)
+    console.log = console.error;
+  }
   const config = loadConfig(configPath);
+  if (args[0] === "rollback") {
+    const toIdx = args.indexOf("--to");
+    const to = toIdx !== -1 ? args[toIdx + 1] : undefined;
+    if (toIdx !== -1 && (!to || to.startsWith("--"))) {
+      throw new Error("--to requires a release name.");
+    }
+    await runRollback(config, to, json);
+    return;
+  }
   const watchMode = args.includes("--watch");
-  await runConfig(config, watchMode);
+  await runConfig(config, watchMode, json);
   if (watchMode) {
     console.log("watch() active. Press Ctrl+C to exit.");
   }
@@ -1,10 +1,15 @@
 import chalk from "chalk";
-import { execSync } from "child_process";
+import { execSync, spawn } from "child_process";
 import cliProgress from "cli-progress";
+import crypto from "crypto";
 import fs from "fs-extra";
+import inquirer from "inquirer";
 import { NodeSSH } from "node-ssh";
 import ora from "ora";
+import os from "os";
 import path from "path";
+import { PassThrough, Transform } from "stream";
+import { pipeline } from "stream/promises";
 import * as tar from "tar";
 
 /**
@@ -33,6 +38,67 @@ export class TransferError extends Error {
   }
 }
 
+/**
+ * Custom error class for SSH host key verification failures
+ * (known_hosts mismatch, pinned fingerprint mismatch or unknown host in strict mode)
+ */
+export class HostKeyMismatchError extends Error {
+  constructor(host, expectedFingerprint, actualFingerprint) {
+    const message = expectedFingerprint
+      ? `Host key verification failed for ${host}: expected ${expectedFingerprint}, got ${actualFingerprint}.\nThe server key changed or the connection is being intercepted.`
+      : `Host key verification failed for ${host}: host is not in known_hosts (got ${actualFingerprint}).\nAdd the key to known_hosts or use hostKeyPolicy "accept-new".`;
+    super(message);
+    this.name = "HostKeyMismatchError";
+    this.host = host;
+    this.expectedFingerprint = expectedFingerprint;
+    this.actualFingerprint = actualFingerprint;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Custom error class for local or remote commands that exit with a non-zero
+ * code, are killed by a signal or time out. Carries the full command result.
+ */
+export class CommandFailedError extends Error {
+  constructor(
+    command,
+    { stdout, stderr, code, signal, durationMs, timedOut = false }
+  ) {
+    const status = timedOut
+      ? `timeout after ${durationMs}ms`
+      : signal
+        ? `signal ${signal}`
+        : `exit code ${code}`;
+    const detail = (stderr || stdout || "").trim();
+    super(
+      `Command failed with ${status}: ${command}${detail ? `\n${detail}` : ""}`
+    );
+    this.name = "CommandFailedError";
+    this.command = command;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.code = code;
+    this.signal = signal;
+    this.durationMs = durationMs;
+    this.timedOut = timedOut;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Custom error class for deploy steps that exceed their timeout
+ */
+export class StepTimeoutError extends Error {
+  constructor(step, timeout) {
+    super(`Step "${step}" timed out after ${timeout}ms`);
+    this.name = "StepTimeoutError";
+    this.step = step;
+    this.timeout = timeout;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
 /**
  * Custom error class for deployment failures
  * Can suppress stack trace when verbose is false
@@ -52,14 +118,277 @@ export class DeploymentError extends Error {
   }
 }
 
+/**
+ * Default OpenSSH client config path (~/.ssh/config).
+ */
+function defaultSshConfigPath() {
+  const homeDir = process.env.HOME || process.env.USERPROFILE || os.homedir();
+  return path.join(homeDir, ".ssh", "config");
+}
+
+/**
+ * Match a host against a single ssh_config pattern (`*` and `?` wildcards).
+ */
+function matchSshPattern(host, pattern) {
+  const regex = new RegExp(
+    "^" +
+      pattern
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*")
+        .replace(/\?/g, ".") +
+      "$",
+    "i"
+  );
+  return regex.test(host);
+}
+
+/**
+ * Check a `Host` line: any positive pattern must match and no `!pattern` may.
+ */
+function matchSshHostLine(host, patterns) {
+  let matched = false;
+  for (const pattern of patterns) {
+    if (pattern.startsWith("!")) {
+      if (matchSshPattern(host, pattern.slice(1))) return false;
+    } else if (matchSshPattern(host, pattern)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+/**
+ * Expand an `Include` path (wildcards allowed in any segment) to sorted files.
+ */
+function expandSshInclude(pattern, baseDir, homeDir) {
+  let full = pattern.startsWith("~")
+    ? path.join(homeDir, pattern.slice(1))
+    : pattern;
+  if (!path.isAbsolute(full)) full = path.join(baseDir, full);
+  if (!/[*?]/.test(full)) return fs.existsSync(full) ? [full] : [];
+
+  const { root } = path.parse(full);
+  const segments = full.slice(root.length).split(/[\\/]+/);
+  let candidates = [root];
+  for (const segment of segments) {
+    const next = [];
+    for (const dir of candidates) {
+      if (!/[*?]/.test(segment)) {
+        const joined = path.join(dir, segment);
+        if (fs.existsSync(joined)) next.push(joined);
+        continue;
+      }
+      let names = [];
+      try {
+        names = fs.readdirSync(dir);
+      } catch {
+        continue;
+      }
+      for (const name of names.sort()) {
+        if (matchSshPattern(name, segment)) next.push(path.join(dir, name));
+      }
+    }
+    candidates = next;
+  }
+  return candidates.filter((file) => fs.statSync(file).isFile());
+}
+
+/**
+ * Split an ssh_config line into keyword and arguments.
+ * Supports `Keyword value`, `Keyword=value` and double-quoted arguments.
+ */
+function tokenizeSshConfigLine(line) {
+  const match = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.*)$/);
+  if (!match) return null;
+  const args = [];
+  const argRegex = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = argRegex.exec(match[2])) !== null) {
+    args.push(m[1] !== undefined ? m[1] : m[2]);
+  }
+  return { keyword: match[1].toLowerCase(), args };
+}
+
+/**
+ * Resolve a host alias through an OpenSSH client config file, the same way
+ * `ssh <alias>` would. Supports `Host` patterns (with `!` negation),
+ * `Match all`, `HostName`, `User`, `Port`, `IdentityFile` and `Include`.
+ * As in OpenSSH, the first value obtained for each option wins, while
+ * every matching `IdentityFile` is collected.
+ *
+ * @param {string} host - Host alias (e.g. "prod-web")
+ * @param {string} [configPath] - Config file (default: ~/.ssh/config)
+ * @returns {{hostName?: string, user?: string, port?: number, identityFiles?: string[]}}
+ *   Resolved options; empty when the file is missing or nothing matched
+ */
+export function resolveSshConfigHost(
+  host,
+  configPath = defaultSshConfigPath()
+) {
+  const homeDir = process.env.HOME || process.env.USERPROFILE || os.homedir();
+  const sshDir = path.join(homeDir, ".ssh");
+  const result = {};
+  const identityFiles = [];
+  const visited = new Set();
+
+  const readFile = (file, initiallyActive, depth) => {
+    if (depth > 16 || visited.has(file) || !fs.existsSync(file)) return;
+    visited.add(file);
+    let active = initiallyActive;
+    const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith("#")) continue;
+      const token = tokenizeSshConfigLine(line);
+      if (!token || token.args.length === 0) continue;
+      const { keyword, args } = token;
+
+      if (keyword === "host") {
+        active = matchSshHostLine(host, args);
+        continue;
+      }
+      if (keyword === "match") {
+        // Only the unconditional form is evaluated
+        active = args[0].toLowerCase() === "all";
+        continue;
+      }
+      if (keyword === "include") {
+        for (const pattern of args) {
+          for (const included of expandSshInclude(pattern, sshDir, homeDir)) {
+            readFile(included, active, depth + 1);
+          }
+        }
+        continue;
+      }
+      if (!active) continue;
+
+      const value = args[0];
+      if (keyword === "hostname" && result.hostName === undefined) {
+        result.hostName = value;
+      } else if (keyword === "user" && result.user === undefined) {
+        result.user = value;
+      } else if (keyword === "port" && result.port === undefined) {
+        const port = Number.parseInt(value, 10);
+        if (port) result.port = port;
+      } else if (keyword === "identityfile" && value.toLowerCase() !== "none") {
+        identityFiles.push(value);
+      }
+    }
+  };
+
+  readFile(configPath, true, 0);
+
+  const expandTokens = (value) =>
+    value.replace(/%([%dhru])/g, (_, token) => {
+      if (token === "%") return "%";
+      if (token === "d") return homeDir;
+      if (token === "h") return result.hostName || host;
+      if (token === "r") return result.user || "";
+      return os.userInfo().username;
+    });
+
+  if (result.hostName) {
+    result.hostName = result.hostName.replace(/%([%h])/g, (_, token) =>
+      token === "h" ? host : "%"
+    );
+  }
+  if (identityFiles.length > 0) {
+    result.identityFiles = identityFiles.map((file) => {
+      const expanded = expandTokens(file);
+      return expanded.startsWith("~")
+        ? path.join(homeDir, expanded.slice(1))
+        : expanded;
+    });
+  }
+  return result;
+}
+
+/**
+ * SHA256 fingerprint of a raw SSH public key blob, in `ssh-keygen -l` format.
+ * @param {Buffer} key - Public key blob
+ * @returns {string} e.g. "SHA256:uNiVztksCsDhcc0u9e8BujQXVUpKZIDTMczCvj3tD2s"
+ */
+export function getHostKeyFingerprint(key) {
+  const digest = crypto.createHash("sha256").update(key).digest("base64");
+  return `SHA256:${digest.replace(/=+$/, "")}`;
+}
+
+/**
+ * Normalize a user-supplied fingerprint (prefix and base64 padding optional).
+ */
+function normalizeFingerprint(fingerprint) {
+  const trimmed = String(fingerprint).trim().replace(/=+$/, "");
+  return trimmed.startsWith("SHA256:") ? trimmed : `SHA256:${trimmed}`;
+}
+
+/**
+ * Host name as written in known_hosts: `host` on port 22, `[host]:port` otherwise.
+ */
+function knownHostsName(host, port) {
+  return !port || port === 22 ? host : `[${host}]:${port}`;
+}
+
+/**
+ * Read the known_hosts keys recorded for a host. Handles hashed (`|1|`)
+ * entries, patterns and `@revoked`; `@cert-authority` lines are skipped.
+ * @returns {{type: string, key: string, revoked: boolean}[]}
+ */
+function readKnownHosts(knownHostsFile, host, port) {
+  if (!fs.existsSync(knownHostsFile)) return [];
+  const name = knownHostsName(host, port);
+  const entries = [];
+
+  for (const rawLine of fs
+    .readFileSync(knownHostsFile, "utf8")
+    .split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+    const parts = line.split(/\s+/);
+    let revoked = false;
+    if (parts[0].startsWith("@")) {
+      if (parts[0] !== "@revoked") continue;
+      revoked = true;
+      parts.shift();
+    }
+    const [hosts, type, key] = parts;
+    if (!key) continue;
+
+    let matched;
+    if (hosts.startsWith("|1|")) {
+      const [, , salt, hash] = hosts.split("|");
+      matched =
+        crypto
+          .createHmac("sha1", Buffer.from(salt, "base64"))
+          .update(name)
+          .digest("base64") === hash;
+    } else {
+      matched = matchSshHostLine(name, hosts.split(","));
+    }
+    if (matched) entries.push({ type, key, revoked });
+  }
+  return entries;
+}
+
 /**
  * Parse a simple inventory.ini file to support multi-host deployments.
  * Expected format:
  *   [groupName]
  *   server1 host=1.2.3.4 user=deployer port=22
  *   server2 host=1.2.3.5 user=ubuntu
+ *   prod-web                      (alias resolved through ~/.ssh/config)
+ *
+ * Hosts without `host=` use their name as an SSH config alias, and a missing
+ * `user=` / `port=` is filled from the matching ssh_config entry. Explicit
+ * inventory values always win.
+ *
+ * @param {string} inventoryPath - Path to inventory.ini
+ * @param {string} [group] - Only return hosts from this group
+ * @param {Object} [options]
+ * @param {string|false} [options.sshConfig] - ssh_config path, or false to skip
  */
-export function parseInventoryFile(inventoryPath, group) {
+export function parseInventoryFile(inventoryPath, group, options = {}) {
+  const { sshConfig } = options;
   const content = fs.readFileSync(inventoryPath, "utf8");
   const lines = content.split(/\r?\n/);
   let currentGroup = null;
@@ -96,6 +425,16 @@ export function parseInventoryFile(inventoryPath, group) {
       else hostConfig[k] = v;
     }
 
+    if (sshConfig !== false) {
+      hostConfig.host = hostConfig.host || name;
+      const resolved = resolveSshConfigHost(
+        hostConfig.host,
+        sshConfig || undefined
+      );
+      if (!hostConfig.user && resolved.user) hostConfig.user = resolved.user;
+      if (!hostConfig.port && resolved.port) hostConfig.port = resolved.port;
+    }
+
     if (hostConfig.host && hostConfig.user) {
       groups[currentGroup].push(hostConfig);
     }
@@ -109,146 +448,1064 @@ export function parseInventoryFile(inventoryPath, group) {
   return Object.values(groups).flat();
 }
 
-export class Daffodil {
-  constructor({
-    remoteUser,
-    remoteHost,
-    remotePath = ".",
-    port = 22,
-    ignoreFile = ".scpignore",
-    verbose = false,
-    inventory,
-    group,
-  }) {
-    const usingInventory = Boolean(inventory);
-    // Validate required parameters
-    if (!usingInventory) {
-      if (!remoteUser || typeof remoteUser !== "string") {
-        throw new Error("remoteUser is required and must be a string");
-      }
-      if (!remoteHost || typeof remoteHost !== "string") {
-        throw new Error("remoteHost is required and must be a string");
-      }
+/**
+ * Look up a dotted variable path ("host.port", "this", "@index") in a
+ * template scope chain, innermost scope first.
+ */
+function lookupTemplateVar(scopes, expression) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (expression === "this" || expression.startsWith("this.")) {
+      if (!("this" in scope)) continue;
+      return expression
+        .split(".")
+        .slice(1)
+        .reduce((value, key) => value?.[key], scope.this);
     }
-    if (port && (typeof port !== "number" || port < 1 || port > 65535)) {
-      throw new Error("port must be a number between 1 and 65535");
+    const [head, ...rest] = expression.split(".");
+    let base;
+    if (Object.prototype.hasOwnProperty.call(scope, head)) {
+      base = scope[head];
+    } else if (
+      scope.this &&
+      typeof scope.this === "object" &&
+      Object.prototype.hasOwnProperty.call(scope.this, head)
+    ) {
+      base = scope.this[head];
+    } else {
+      continue;
     }
+    return rest.reduce((value, key) => value?.[key], base);
+  }
+  return undefined;
+}
 
-    this.remoteUser = remoteUser;
-    this.remoteHost = remoteHost;
-    this.remotePath = remotePath;
-    this.port = port;
-    this.ssh = new NodeSSH();
-    this.ignoreFile = ignoreFile;
-    this.excludeList = this.loadIgnoreList();
-    this.verbose = verbose;
-
-    // Multi-host inventory support
-    this.inventory = inventory || null;
-    this.inventoryGroup = group || null;
-    this.inventoryTargets = null;
+/**
+ * Template truthiness: like JavaScript, except that empty arrays and the
+ * strings "false" and "0" (common in inventory.ini attributes) are false.
+ */
+function isTemplateTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === "string") {
+    return value !== "" && value !== "false" && value !== "0";
+  }
+  return Boolean(value);
+}
 
-    if (usingInventory) {
-      const inventoryPath = path.resolve(inventory);
-      if (!fs.existsSync(inventoryPath)) {
-        throw new Error(
-          `Inventory file not found: ${inventoryPath}. Please provide a valid inventory.ini path.`
-        );
+/**
+ * Parse a template into a tree of text, variable, if and each nodes.
+ */
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+  let lastIndex = 0;
+  let match;
+  while ((match = tagPattern.exec(template)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push({
+        type: "text",
+        value: template.slice(lastIndex, match.index),
+      });
+    }
+    lastIndex = tagPattern.lastIndex;
+    const [, sigil, body] = match;
+    if (sigil === "#") {
+      const [keyword, expression] = body.split(/\s+/, 2);
+      if (!["if", "each"].includes(keyword) || !expression) {
+        throw new Error(`Invalid template block: {{#${body}}}`);
       }
-      const targets = parseInventoryFile(inventoryPath, group);
-      if (!targets.length) {
-        throw new Error(
-          group
-            ? `No hosts found in inventory group "${group}".`
-            : "No hosts found in inventory file."
-        );
+      // New children go to `children`: the consequent until {{else}}
+      const consequent = [];
+      const node = {
+        type: keyword,
+        expression,
+        children: consequent,
+        consequent,
+        alternate: null,
+      };
+      current.children.push(node);
+      stack.push(node);
+    } else if (sigil === "/") {
+      if (stack.length === 1 || current.type !== body) {
+        throw new Error(`Unexpected template tag: {{/${body}}}`);
       }
-      this.inventoryTargets = targets;
-      if (this.verbose) {
-        this.log(
-          `Loaded ${targets.length} host(s) from inventory${
-            group ? ` group "${group}"` : ""
-          }`,
-          "blue"
-        );
+      stack.pop();
+    } else if (body === "else") {
+      if (current.type !== "if" || current.alternate) {
+        throw new Error("{{else}} is only allowed once inside {{#if}}");
       }
+      current.alternate = [];
+      current.children = current.alternate;
+    } else {
+      current.children.push({ type: "var", expression: body });
     }
   }
-
-  /**
-   * Set options for the deployer
-   * @param {Object} options - Options object
-   * @param {boolean} options.verbose - Enable verbose logging (default: false)
-   */
-  setOption({ verbose = false }) {
-    this.verbose = verbose;
-  }
-
-  /**
-   * Get formatted timestamp
-   * @returns {string} Formatted timestamp
-   */
-  getTimestamp() {
-    return new Date().toISOString();
+  if (stack.length > 1) {
+    throw new Error(
+      `Unclosed template block: {{#${stack[stack.length - 1].type}}}`
+    );
   }
-
-  /**
-   * Escape shell arguments to prevent command injection
-   * @param {string} arg - Argument to escape
-   * @returns {string} Escaped argument
-   * @private
-   */
-  escapeShellArg(arg) {
-    // Replace single quotes with '\'' and wrap in single quotes
-    return `'${String(arg).replace(/'/g, "'\\''")}'`;
+  if (lastIndex < template.length) {
+    root.children.push({ type: "text", value: template.slice(lastIndex) });
   }
+  return root.children;
+}
 
-  /**
-   * Log message with timestamp if verbose is enabled
-   * @param {string} message - Message to log
-   * @param {string} color - Chalk color function name
-   */
-  log(message, color = "blue") {
-    if (this.verbose) {
-      const timestamp = this.getTimestamp();
-      console.log(chalk[color](`[${timestamp}] ${message}`));
-    } else {
-      console.log(chalk[color](message));
+function renderTemplateNodes(nodes, scopes) {
+  let output = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output += node.value;
+    } else if (node.type === "var") {
+      const value = lookupTemplateVar(scopes, node.expression);
+      if (value === undefined || value === null) {
+        throw new Error(`Undefined template variable: ${node.expression}`);
+      }
+      output +=
+        typeof value === "object" ? JSON.stringify(value) : String(value);
+    } else if (node.type === "if") {
+      const value = lookupTemplateVar(scopes, node.expression);
+      const branch = isTemplateTruthy(value)
+        ? node.consequent
+        : node.alternate || [];
+      output += renderTemplateNodes(branch, scopes);
+    } else if (node.type === "each") {
+      let items = lookupTemplateVar(scopes, node.expression) ?? [];
+      // inventory.ini values are strings: "a.com,b.com" loops over both
+      if (typeof items === "string") {
+        items = items
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean);
+      }
+      const entries = Array.isArray(items)
+        ? items.map((item, index) => [index, item])
+        : Object.entries(items);
+      entries.forEach(([key, item], index) => {
+        output += renderTemplateNodes(node.consequent, [
+          ...scopes,
+          { this: item, "@index": index, "@key": key },
+        ]);
+      });
     }
   }
+  return output;
+}
 
-  /**
-   * Get human-readable error message
-   * @param {Error} error - Error object
-   * @returns {string} Human-readable error message
-   */
-  getHumanReadableError(error) {
-    if (!error) return "Unknown error occurred";
+/**
+ * Render a template with `{{ var }}` substitutions (dotted paths allowed),
+ * `{{#if var}}...{{else}}...{{/if}}` conditionals and
+ * `{{#each list}}...{{/each}}` loops (`{{this}}`, `{{@index}}`, `{{@key}}`
+ * and item fields inside). Referencing an undefined variable throws so a
+ * typo cannot silently produce an empty config value.
+ * @param {string} template - Template source
+ * @param {Object} vars - Template variables
+ * @returns {string} Rendered output
+ */
+export function renderTemplate(template, vars = {}) {
+  return renderTemplateNodes(parseTemplate(String(template)), [vars]);
+}
 
-    // Handle specific error types
-    if (error instanceof PathNotFoundError) {
-      return `The ${error.type} does not exist: ${error.path}`;
-    }
+/**
+ * Key files tried from ~/.ssh when no privateKeyPath is given.
+ */
+const DEFAULT_KEY_FILES = ["id_rsa", "id_ed25519", "id_ecdsa", "id_dsa"];
 
-    if (error instanceof TransferError) {
-      return error.message;
-    }
+/**
+ * Accepted values for the hostKeyPolicy option.
+ */
+const HOST_KEY_POLICIES = ["strict", "accept-new", "off"];
 
-    // Handle SSH authentication errors
-    if (
-      error.message &&
-      error.message.includes("All configured authentication methods failed")
-    ) {
-      return "SSH connection failed: Authentication failed. Please check your SSH keys and credentials.";
-    }
+/**
+ * Network error codes worth retrying (server rebooting, flaky network).
+ */
+const TRANSIENT_CONNECTION_ERRORS = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EAI_AGAIN",
+];
 
-    if (error.message && error.message.includes("ECONNREFUSED")) {
-      return `SSH connection failed: Could not connect to ${this.remoteHost}:${this.port}. The server may be down or the port may be incorrect.`;
-    }
+/**
+ * Whether a connection error is transient (network-level) rather than an
+ * authentication or host key failure that a retry would not fix.
+ */
+function isTransientConnectionError(err) {
+  if (!err || err instanceof HostKeyMismatchError) return false;
+  if (TRANSIENT_CONNECTION_ERRORS.includes(err.code)) return true;
+  return /timed out while waiting for handshake|no response from server|ECONNREFUSED|ECONNRESET|ETIMEDOUT|EHOSTUNREACH/i.test(
+    err.message || ""
+  );
+}
 
-    if (error.message && error.message.includes("ETIMEDOUT")) {
-      return `SSH connection failed: Connection timeout to ${this.remoteHost}:${this.port}. Please check your network connection.`;
-    }
+/**
+ * Split streamed output into lines. push() takes raw chunks and calls onLine
+ * for every complete line; flush() emits a trailing partial line.
+ * @param {function(string): void} onLine
+ * @returns {{push: function((Buffer|string)): void, flush: function(): void}}
+ */
+function createLineBuffer(onLine) {
+  let pending = "";
+  return {
+    push(chunk) {
+      pending += chunk.toString();
+      const lines = pending.split(/\r?\n/);
+      pending = lines.pop();
+      for (const line of lines) onLine(line);
+    },
+    flush() {
+      if (pending) onLine(pending);
+      pending = "";
+    },
+  };
+}
+
+/**
+ * Human-readable byte count, e.g. "1.5 MB".
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Rate-limit an onProgress callback to one event per intervalMs; a forced
+ * event (the last one of a phase) always goes through.
+ * @param {function(Object): void} [onProgress]
+ * @param {number} [intervalMs]
+ * @returns {function(Object, boolean=): void} (event, force)
+ */
+function throttleProgress(onProgress, intervalMs = 100) {
+  if (!onProgress) return () => {};
+  let last = 0;
+  return (event, force = false) => {
+    const now = Date.now();
+    if (!force && now - last < intervalMs) return;
+    last = now;
+    onProgress(event);
+  };
+}
+
+/**
+ * List the entries under localPath that pass isIgnored, parents before
+ * their children. A file localPath yields just its own name.
+ * @param {string} localPath - Local file or directory
+ * @param {function(string, boolean): boolean} isIgnored - (relPath, isDirectory)
+ * @param {boolean} [follow] - Treat symlinks as their targets, as `tar -h`
+ * @returns {Promise<Array<{path: string, isDirectory: boolean, isFile: boolean, size: number}>>}
+ *   Paths are relative and use "/"; size is 0 for anything but files
+ */
+async function listTree(localPath, isIgnored, follow = false) {
+  const stats = await fs.stat(localPath);
+  if (!stats.isDirectory()) {
+    const name = path.basename(localPath);
+    return isIgnored(name, false)
+      ? []
+      : [{ path: name, isDirectory: false, isFile: true, size: stats.size }];
+  }
+  const entries = [];
+  const walk = async (relDir) => {
+    const dirents = await fs.readdir(path.join(localPath, relDir), {
+      withFileTypes: true,
+    });
+    for (const entry of dirents) {
+      const relPath = relDir ? path.posix.join(relDir, entry.name) : entry.name;
+      let type = entry;
+      if (follow && entry.isSymbolicLink()) {
+        type = await fs.stat(path.join(localPath, relPath)).catch(() => entry);
+      }
+      if (isIgnored(relPath, type.isDirectory())) continue;
+      const isFile = type.isFile();
+      entries.push({
+        path: relPath,
+        isDirectory: type.isDirectory(),
+        isFile,
+        size: isFile ? (await fs.stat(path.join(localPath, relPath))).size : 0,
+      });
+      if (type.isDirectory()) {
+        await walk(relPath);
+      }
+    }
+  };
+  await walk("");
+  return entries;
+}
+
+/**
+ * Count the files and bytes under localPath that pass isIgnored, for
+ * progress totals.
+ * @param {string} localPath - Local file or directory
+ * @param {function(string, boolean): boolean} isIgnored - (relPath, isDirectory)
+ * @param {boolean} [follow] - Count symlink targets, as `tar -h` packs them
+ * @returns {Promise<{files: number, bytes: number}>}
+ */
+async function measureTree(localPath, isIgnored, follow = false) {
+  const files = (await listTree(localPath, isIgnored, follow)).filter(
+    (entry) => entry.isFile
+  );
+  return {
+    files: files.length,
+    bytes: files.reduce((sum, entry) => sum + entry.size, 0),
+  };
+}
+
+/**
+ * Count the changed files and bytes of an incremental plan, for progress
+ * totals; changed directories and symlinks carry no data.
+ * @param {Object} plan - Result of planIncrementalTransfer()
+ * @returns {{files: number, bytes: number}}
+ */
+function planTotals(plan) {
+  const files = plan.changed
+    .map((file) => plan.manifest[file])
+    .filter((entry) => !entry.type);
+  return {
+    files: files.length,
+    bytes: files.reduce((sum, entry) => sum + entry.size, 0),
+  };
+}
+
+/**
+ * Transfer strategies: extract in place, or into releases/<name> behind a
+ * `current` symlink (see deployRelease).
+ */
+const TRANSFER_STRATEGIES = ["direct", "releases"];
+
+/**
+ * Transfer methods: one archive extracted by the remote tar, file-by-file
+ * SFTP for remotes without tar, or auto to pick by probing for tar.
+ */
+const TRANSFER_METHODS = ["archive", "sftp", "auto"];
+
+/**
+ * Default release directory name: UTC timestamp such as 20240131235959.
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function releaseTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:T]/g, "").replace(/\..*$/, "");
+}
+
+/**
+ * Validate a shared path: relative, without `..` segments.
+ * @param {string} sharedPath
+ * @returns {string} Normalized POSIX path
+ */
+function normalizeSharedPath(sharedPath) {
+  const normalized = path.posix
+    .normalize(String(sharedPath))
+    .replace(/\/+$/, "");
+  if (
+    !normalized ||
+    normalized === "." ||
+    path.posix.isAbsolute(normalized) ||
+    normalized.split("/").includes("..")
+  ) {
+    throw new Error(
+      `Shared path must be relative to the release: ${sharedPath}`
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Translate a gitignore glob into a regular expression source: `*` and `?`
+ * stay within one path segment, `**` spans directories, `[...]` is a
+ * character class and a backslash escapes the next character.
+ * @param {string} glob
+ * @returns {string}
+ */
+function globToRegExpSource(glob) {
+  const escape = (char) => char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        // "**/" matches zero or more directories; any other "**" anything
+        if (glob[i + 2] === "/") {
+          source += "(?:.*/)?";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[" && glob.indexOf("]", i + 2) !== -1) {
+      const end = glob.indexOf("]", i + 2);
+      const members = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+      source += `[${members.startsWith("!") ? `^${members.slice(1)}` : members}]`;
+      i = end;
+    } else if (char === "\\" && i + 1 < glob.length) {
+      source += escape(glob[++i]);
+    } else {
+      source += escape(char);
+    }
+  }
+  return source;
+}
+
+/**
+ * Compile one line of a gitignore-style file. Patterns containing a slash
+ * are anchored to `base`; others match a name at any depth. Returns null
+ * for blank lines and comments.
+ * @param {string} line - Pattern line
+ * @param {string} [base] - Directory of the ignore file, relative to the root
+ * @returns {{negate: boolean, dirOnly: boolean, base: string, regex: RegExp}|null}
+ */
+function compileIgnorePattern(line, base = "") {
+  let pattern = line.trim();
+  if (!pattern || pattern.startsWith("#")) return null;
+
+  let negate = false;
+  if (pattern.startsWith("!")) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith("\\!") || pattern.startsWith("\\#")) {
+    pattern = pattern.slice(1);
+  }
+  const dirOnly = pattern.endsWith("/");
+  pattern = pattern.replace(/\/+$/, "");
+  if (!pattern) return null;
+
+  const anchored = pattern.includes("/");
+  const source = globToRegExpSource(pattern.replace(/^\//, ""));
+  return {
+    negate,
+    dirOnly,
+    base,
+    regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`),
+  };
+}
+
+/**
+ * Build a gitignore-style matcher. Rules are applied in order and the last
+ * matching one wins: `patterns`, then ignore files named `ignoreFileName`
+ * found in `root` and its subdirectories (read lazily, parents first), then
+ * `exclude`. As in git, nothing inside an ignored directory can be
+ * re-included. When `include` is non-empty, only files matching one of its
+ * patterns pass.
+ * @param {Object} [options]
+ * @param {string[]} [options.patterns] - Base patterns (the ignore file)
+ * @param {string[]} [options.exclude] - Extra patterns with the last word
+ * @param {string[]} [options.include] - Whitelist for files
+ * @param {string|null} [options.root] - Local directory to look for nested ignore files in
+ * @param {string|null} [options.ignoreFileName] - Nested ignore file name
+ * @returns {function(string, boolean=): boolean} (relPath, isDirectory) => ignored
+ */
+function createIgnoreMatcher({
+  patterns = [],
+  exclude = [],
+  include = [],
+  root = null,
+  ignoreFileName = null,
+} = {}) {
+  const compile = (lines, base) =>
+    lines.map((line) => compileIgnorePattern(line, base)).filter(Boolean);
+  const baseRules = compile(patterns, "");
+  const excludeRules = compile(exclude, "");
+  const includeRules = compile(include, "");
+  const nestedRules = new Map();
+
+  const rulesIn = (dir) => {
+    if (!root || !ignoreFileName) return [];
+    if (!nestedRules.has(dir)) {
+      let lines = [];
+      try {
+        lines = fs
+          .readFileSync(path.join(root, dir, ignoreFileName), "utf-8")
+          .split(/\r?\n/);
+      } catch {
+        // No ignore file in this directory
+      }
+      nestedRules.set(dir, compile(lines, dir));
+    }
+    return nestedRules.get(dir);
+  };
+  const applies = (rule, relPath, isDirectory) => {
+    if (rule.dirOnly && !isDirectory) return false;
+    if (!rule.base) return rule.regex.test(relPath);
+    return (
+      relPath.startsWith(`${rule.base}/`) &&
+      rule.regex.test(relPath.slice(rule.base.length + 1))
+    );
+  };
+  const matches = (relPath, isDirectory) => {
+    const segments = relPath.split("/");
+    let rules = [...baseRules, ...rulesIn("")];
+    for (let i = 1; i < segments.length; i++) {
+      rules = rules.concat(rulesIn(segments.slice(0, i).join("/")));
+    }
+    let ignored = false;
+    for (const rule of [...rules, ...excludeRules]) {
+      if (applies(rule, relPath, isDirectory)) ignored = !rule.negate;
+    }
+    return ignored;
+  };
+
+  return (filePath, isDirectory = false) => {
+    const relPath = filePath
+      .replace(/\\/g, "/")
+      .replace(/^(\.\/)+/, "")
+      .replace(/\/+$/, "");
+    if (!relPath || relPath === ".") return false;
+    const segments = relPath.split("/");
+    for (let i = 1; i < segments.length; i++) {
+      if (matches(segments.slice(0, i).join("/"), true)) return true;
+    }
+    if (matches(relPath, isDirectory)) return true;
+    if (includeRules.length > 0 && !isDirectory) {
+      return !includeRules.some(
+        (rule) => !rule.negate && applies(rule, relPath, false)
+      );
+    }
+    return false;
+  };
+}
+
+/**
+ * Name of the manifest written next to incrementally transferred files.
+ * It lives in the destination so it travels with a release copied from
+ * `current`; as a dotfile written with mode 0600 it is never transferred,
+ * fetched or deleted by mirror, and web servers running as another user
+ * cannot read it.
+ */
+const MANIFEST_FILE = ".daffodil-manifest.json";
+
+/**
+ * Compute the SHA-256 of a local file without reading it into memory.
+ * @param {string} filePath
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/**
+ * Archive formats for transferFiles. tarFlags select the format for the
+ * remote tar (extractFlags when extracting); formats the tar package cannot
+ * write are compressed by piping through a local `command`. levels is the
+ * accepted compressionLevel range.
+ */
+const COMPRESSION_FORMATS = {
+  gzip: {
+    extension: ".tar.gz",
+    tarFlags: "-z",
+    extractFlags: "-xzf",
+    levels: [1, 9],
+  },
+  zstd: {
+    extension: ".tar.zst",
+    tarFlags: "--zstd",
+    extractFlags: "--zstd -xf",
+    levels: [1, 19],
+    command: "zstd",
+  },
+  xz: {
+    extension: ".tar.xz",
+    tarFlags: "-J",
+    extractFlags: "-xJf",
+    levels: [0, 9],
+    command: "xz",
+  },
+  none: { extension: ".tar", tarFlags: "", extractFlags: "-xf", levels: null },
+};
+
+/**
+ * Validate a compression format and level.
+ * @param {string} [format] - gzip (default), zstd, xz or none
+ * @param {number} [level] - Format-specific level (default: the format's)
+ * @returns {{format: string, level: (number|null), extension: string, tarFlags: string, extractFlags: string, command: (string|undefined)}}
+ */
+function resolveCompression(format = "gzip", level) {
+  const spec = COMPRESSION_FORMATS[format];
+  if (!spec) {
+    throw new Error(
+      `compression must be one of: ${Object.keys(COMPRESSION_FORMATS).join(", ")}`
+    );
+  }
+  if (level !== undefined && level !== null) {
+    if (!spec.levels) {
+      throw new Error(`compressionLevel does not apply to "${format}"`);
+    }
+    const [min, max] = spec.levels;
+    if (!Number.isInteger(level) || level < min || level > max) {
+      throw new Error(
+        `compressionLevel for ${format} must be an integer from ${min} to ${max}`
+      );
+    }
+  }
+  return {
+    format,
+    level: level ?? null,
+    extension: spec.extension,
+    tarFlags: spec.tarFlags,
+    extractFlags: spec.extractFlags,
+    command: spec.command,
+  };
+}
+
+/**
+ * Parse a file mode given as an octal string ("644", "0755") or a number.
+ * @param {string|number} value
+ * @param {string} name - Option name for the error message
+ * @returns {number}
+ */
+function parseFileMode(value, name) {
+  if (Number.isInteger(value) && value >= 0 && value <= 0o7777) {
+    return value;
+  }
+  if (typeof value === "string" && /^[0-7]{3,4}$/.test(value)) {
+    return parseInt(value, 8);
+  }
+  throw new Error(`${name} must be an octal mode such as "644"`);
+}
+
+/**
+ * Validate the permission options of transferFiles.
+ * @param {Object} options - mode, dirMode, owner, group,
+ *   preservePermissions, followSymlinks
+ * @returns {{mode: (number|null), dirMode: (number|null), owner: (string|null), group: (string|null), preservePermissions: (boolean|null), followSymlinks: boolean}}
+ */
+function resolvePermissions(options) {
+  const optional = (value, parse) =>
+    value === undefined || value === null ? null : parse(value);
+  const account = (name) => (value) => {
+    if (
+      !(typeof value === "string" && value.trim()) &&
+      !(Number.isInteger(value) && value >= 0)
+    ) {
+      throw new Error(`${name} must be a user/group name or numeric id`);
+    }
+    return String(value).trim();
+  };
+  const flag = (name) => (value) => {
+    if (typeof value !== "boolean") {
+      throw new Error(`${name} must be a boolean`);
+    }
+    return value;
+  };
+  return {
+    mode: optional(options.mode, (value) => parseFileMode(value, "mode")),
+    dirMode: optional(options.dirMode, (value) =>
+      parseFileMode(value, "dirMode")
+    ),
+    owner: optional(options.owner, account("owner")),
+    group: optional(options.group, account("group")),
+    preservePermissions: optional(
+      options.preservePermissions,
+      flag("preservePermissions")
+    ),
+    followSymlinks:
+      optional(options.followSymlinks, flag("followSymlinks")) === true,
+  };
+}
+
+/**
+ * Create a tar archive stream in the given compression (see
+ * resolveCompression). gzip and none are written by the tar package; zstd
+ * and xz pipe the plain tar through the local compressor.
+ * @param {Object} compression - Result of resolveCompression
+ * @param {Object} tarOptions - Options for tar.create (cwd, filter)
+ * @param {string[]} entries - Paths to archive, relative to tarOptions.cwd
+ * @returns {import("stream").Readable}
+ */
+function packArchive(compression, tarOptions, entries) {
+  const { format, level, command } = compression;
+  if (!command) {
+    const gzip =
+      format === "gzip" && (level === null ? true : { level: level });
+    return tar.create({ ...tarOptions, gzip }, entries);
+  }
+
+  const pack = tar.create(tarOptions, entries);
+  const child = spawn(
+    command,
+    ["-c", "-q", ...(level === null ? [] : [`-${level}`])],
+    { stdio: ["pipe", "pipe", "pipe"] }
+  );
+  const output = new PassThrough();
+  let stderr = "";
+  child.stderr.on("data", (chunk) => {
+    stderr += chunk.toString();
+  });
+  child.on("error", (err) => {
+    output.destroy(
+      new Error(
+        err.code === "ENOENT"
+          ? `${command} is not installed locally; install it or choose another compression`
+          : `${command} failed: ${err.message}`
+      )
+    );
+  });
+  // An early exit of the compressor surfaces through its exit code instead
+  child.stdin.on("error", () => {});
+  pack.on("error", (err) => {
+    child.stdin.destroy();
+    output.destroy(err);
+  });
+  pack.pipe(child.stdin);
+  // Only end the output once the exit code says the data is complete
+  child.stdout.pipe(output, { end: false });
+  // A consumer that stops early must not leave the compressor running
+  output.on("close", () => {
+    if (child.exitCode === null) {
+      pack.destroy();
+      child.kill();
+    }
+  });
+  child.on("close", (code) => {
+    if (output.destroyed) return;
+    if (code === 0) {
+      output.end();
+    } else {
+      output.destroy(
+        new Error(`${command} exited with code ${code}: ${stderr.trim()}`)
+      );
+    }
+  });
+  return output;
+}
+
+/**
+ * Report the file data of a tar WriteEntry as pack actually emits it (the
+ * filter runs for the whole tree long before anything is written).
+ * Listening must wait until pack itself listens: entries are created ahead
+ * of time, and an earlier 'data' listener would start the flow and lose
+ * data. The tar header comes first and is not counted; hard links carry
+ * no data, so their size is reported once they are written.
+ * @param {Object} entry - File or Link WriteEntry passed to tar's onWriteEntry
+ * @param {function(number): void} onBytes - File bytes written since last call
+ * @param {function(): void} onEnd - The entry has been written completely
+ */
+function watchEntryData(entry, onBytes, onEnd) {
+  const size = entry.stat.size;
+  if (entry.type === "Link") {
+    entry.once("end", () => {
+      onBytes(size);
+      onEnd();
+    });
+    return;
+  }
+  entry.once("resume", () => {
+    let header = 512;
+    let written = 0;
+    entry.on("data", (chunk) => {
+      const skipped = Math.min(header, chunk.length);
+      header -= skipped;
+      const next = Math.min(size, written + chunk.length - skipped);
+      if (next > written) {
+        onBytes(next - written);
+        written = next;
+      }
+    });
+  });
+  entry.once("end", onEnd);
+}
+
+export class Daffodil {
+  constructor({
+    remoteUser,
+    remoteHost,
+    remotePath = ".",
+    port,
+    ignoreFile = ".scpignore",
+    verbose = false,
+    inventory,
+    group,
+    privateKeyPath,
+    passphrase,
+    password,
+    agent = false,
+    keyFiles = DEFAULT_KEY_FILES,
+    sshConfig,
+    hostKeyPolicy = "accept-new",
+    knownHostsFile,
+    fingerprint,
+    jumpHost,
+    readyTimeout = 20000,
+    retries = 0,
+    retryDelay = 1000,
+    keepaliveInterval = 0,
+    sudoPassword,
+    remoteEnv = {},
+    templateVars = {},
+    strategy = "direct",
+    keepReleases = 5,
+    sharedDirs = [],
+    sharedFiles = [],
+    onProgress,
+    stream = false,
+    method = "archive",
+  }) {
+    const usingInventory = Boolean(inventory);
+    // A bare alias may get its user from ~/.ssh/config, like `ssh <alias>`
+    if (
+      !usingInventory &&
+      !remoteUser &&
+      typeof remoteHost === "string" &&
+      sshConfig !== false
+    ) {
+      remoteUser = resolveSshConfigHost(
+        remoteHost,
+        sshConfig || undefined
+      ).user;
+    }
+    // Validate required parameters
+    if (!usingInventory) {
+      if (!remoteUser || typeof remoteUser !== "string") {
+        throw new Error("remoteUser is required and must be a string");
+      }
+      if (!remoteHost || typeof remoteHost !== "string") {
+        throw new Error("remoteHost is required and must be a string");
+      }
+    }
+    if (port && (typeof port !== "number" || port < 1 || port > 65535)) {
+      throw new Error("port must be a number between 1 and 65535");
+    }
+    if (!HOST_KEY_POLICIES.includes(hostKeyPolicy)) {
+      throw new Error(
+        `hostKeyPolicy must be one of: ${HOST_KEY_POLICIES.join(", ")}`
+      );
+    }
+    for (const [name, value] of Object.entries({
+      readyTimeout,
+      retries,
+      retryDelay,
+      keepaliveInterval,
+    })) {
+      if (typeof value !== "number" || value < 0) {
+        throw new Error(`${name} must be a non-negative number`);
+      }
+    }
+    if (
+      !remoteEnv ||
+      typeof remoteEnv !== "object" ||
+      Array.isArray(remoteEnv)
+    ) {
+      throw new Error(
+        "remoteEnv must be an object of variable names to values"
+      );
+    }
+    if (!Array.isArray(keyFiles)) {
+      throw new Error("keyFiles must be an array of key file names or paths");
+    }
+    if (!TRANSFER_STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `strategy must be one of: ${TRANSFER_STRATEGIES.join(", ")}`
+      );
+    }
+    if (!Number.isInteger(keepReleases) || keepReleases < 1) {
+      throw new Error("keepReleases must be a positive integer");
+    }
+    if (!Array.isArray(sharedDirs) || !Array.isArray(sharedFiles)) {
+      throw new Error("sharedDirs and sharedFiles must be arrays of paths");
+    }
+    if (onProgress !== undefined && typeof onProgress !== "function") {
+      throw new Error("onProgress must be a function");
+    }
+    if (typeof stream !== "boolean") {
+      throw new Error("stream must be a boolean");
+    }
+    if (!TRANSFER_METHODS.includes(method)) {
+      throw new Error(`method must be one of: ${TRANSFER_METHODS.join(", ")}`);
+    }
+
+    this.remoteUser = remoteUser;
+    this.remoteHost = remoteHost;
+    this.remotePath = remotePath;
+    this.port = port || 22;
+    // Only an explicitly given port overrides the ssh_config Port
+    this.portOption = port || null;
+    // ssh_config path; null uses ~/.ssh/config, false disables lookups
+    this.sshConfig = sshConfig ?? null;
+    // Host key verification (see verifyHostKey)
+    this.hostKeyPolicy = hostKeyPolicy;
+    this.knownHostsFile = knownHostsFile || null;
+    this.fingerprint = fingerprint || null;
+    // Bastion chain (see getJumpHosts) and its open connections
+    this.jumpHost = jumpHost || null;
+    this.jumpConnections = [];
+    // Connection resilience, applied to every connect() (deploy and watch too)
+    this.readyTimeout = readyTimeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.keepaliveInterval = keepaliveInterval;
+    this.ssh = new NodeSSH();
+    this.ignoreFile = ignoreFile;
+    this.excludeList = this.loadIgnoreList();
+    this.verbose = verbose;
+
+    // SSH authentication options (see getAuthMethods for the order tried)
+    this.privateKeyPath = privateKeyPath || null;
+    this.passphrase = passphrase || null;
+    this.password = password || null;
+    this.agent = agent;
+    this.keyFiles = keyFiles;
+    // Default password for sudo (see buildSudoCommand); sent over stdin only
+    this.sudoPassword = sudoPassword || null;
+    // Environment exported for every sshCommand (see buildRemoteCommand)
+    this.remoteEnv = remoteEnv;
+    // Extra variables for template() (see getTemplateVars)
+    this.templateVars = templateVars;
+    // Release layout used by transferFiles (see deployRelease)
+    this.strategy = strategy;
+    this.keepReleases = keepReleases;
+    this.sharedDirs = sharedDirs.map(normalizeSharedPath);
+    this.sharedFiles = sharedFiles.map(normalizeSharedPath);
+    // Default transferFiles progress listener (see transferFiles)
+    this.onProgress = onProgress || null;
+    // Pipe archives straight into a remote tar by default (see transferFiles)
+    this.stream = stream;
+    // archive, sftp or auto (see transferFiles)
+    this.method = method;
+
+    // AbortSignal of the running deploy step (see runStep); picked up by
+    // runCommand and sshCommand so an aborted step kills its command
+    this.stepSignal = null;
+
+    // Multi-host inventory support
+    this.inventory = inventory || null;
+    this.inventoryGroup = group || null;
+    this.inventoryTargets = null;
+    // Inventory entry being deployed (multi-host deploy), for template vars
+    this.inventoryTarget = null;
+
+    if (usingInventory) {
+      const inventoryPath = path.resolve(inventory);
+      if (!fs.existsSync(inventoryPath)) {
+        throw new Error(
+          `Inventory file not found: ${inventoryPath}. Please provide a valid inventory.ini path.`
+        );
+      }
+      const targets = parseInventoryFile(inventoryPath, group, { sshConfig });
+      if (!targets.length) {
+        throw new Error(
+          group
+            ? `No hosts found in inventory group "${group}".`
+            : "No hosts found in inventory file."
+        );
+      }
+      this.inventoryTargets = targets;
+      if (this.verbose) {
+        this.log(
+          `Loaded ${targets.length} host(s) from inventory${
+            group ? ` group "${group}"` : ""
+          }`,
+          "blue"
+        );
+      }
+    }
+  }
+
+  /**
+   * Set options for the deployer
+   * @param {Object} options - Options object
+   * @param {boolean} options.verbose - Enable verbose logging (default: false)
+   */
+  setOption({ verbose = false }) {
+    this.verbose = verbose;
+  }
+
+  /**
+   * Get formatted timestamp
+   * @returns {string} Formatted timestamp
+   */
+  getTimestamp() {
+    return new Date().toISOString();
+  }
+
+  /**
+   * Escape shell arguments to prevent command injection
+   * @param {string} arg - Argument to escape
+   * @returns {string} Escaped argument
+   * @private
+   */
+  escapeShellArg(arg) {
+    // Replace single quotes with '\'' and wrap in single quotes
+    return `'${String(arg).replace(/'/g, "'\\''")}'`;
+  }
+
+  /**
+   * Log message with timestamp if verbose is enabled
+   * @param {string} message - Message to log
+   * @param {string} color - Chalk color function name
+   */
+  log(message, color = "blue") {
+    if (this.verbose) {
+      const timestamp = this.getTimestamp();
+      console.log(chalk[color](`[${timestamp}] ${message}`));
+    } else {
+      console.log(chalk[color](message));
+    }
+  }
+
+  /**
+   * Get human-readable error message
+   * @param {Error} error - Error object
+   * @returns {string} Human-readable error message
+   */
+  getHumanReadableError(error) {
+    if (!error) return "Unknown error occurred";
+
+    // Handle specific error types
+    if (error instanceof PathNotFoundError) {
+      return `The ${error.type} does not exist: ${error.path}`;
+    }
+
+    if (error instanceof TransferError) {
+      return error.message;
+    }
+
+    if (error instanceof HostKeyMismatchError) {
+      return error.message;
+    }
+
+    if (error instanceof CommandFailedError) {
+      return error.message;
+    }
+
+    if (error instanceof StepTimeoutError) {
+      return error.message;
+    }
+
+    // Handle SSH authentication errors
+    if (
+      error.message &&
+      error.message.includes("All configured authentication methods failed")
+    ) {
+      return "SSH connection failed: Authentication failed. Please check your SSH keys and credentials.";
+    }
+
+    if (error.message && error.message.includes("ECONNREFUSED")) {
+      return `SSH connection failed: Could not connect to ${this.remoteHost}:${this.port}. The server may be down or the port may be incorrect.`;
+    }
+
+    if (error.message && error.message.includes("ETIMEDOUT")) {
+      return `SSH connection failed: Connection timeout to ${this.remoteHost}:${this.port}. Please check your network connection.`;
+    }
 
     if (error.message && error.message.includes("ENOTFOUND")) {
       return `SSH connection failed: Host ${this.remoteHost} not found. Please check the hostname.`;
@@ -263,223 +1520,1695 @@ export class Daffodil {
       return "Permission denied. Please check file permissions.";
     }
 
-    // Return the error message if available, otherwise a generic message
-    return error.message || "An unexpected error occurred";
+    // Return the error message if available, otherwise a generic message
+    return error.message || "An unexpected error occurred";
+  }
+
+  /**
+   * Log error with verbose details if verbose is enabled
+   * @param {string} message - Error message
+   * @param {Error} error - Error object
+   */
+  logError(message, error = null) {
+    if (this.verbose) {
+      const timestamp = this.getTimestamp();
+      console.error(chalk.red(`[${timestamp}] ${message}`));
+      if (error) {
+        console.error(chalk.red(`  Error Name: ${error.name || "Unknown"}`));
+        console.error(
+          chalk.red(`  Error Message: ${error.message || "No message"}`)
+        );
+        if (error.code) {
+          console.error(chalk.red(`  Error Code: ${error.code}`));
+        }
+        if (error.stack) {
+          console.error(chalk.red(`  Stack Trace:\n${error.stack}`));
+        }
+        if (error.originalError) {
+          console.error(
+            chalk.red(
+              `  Original Error: ${error.originalError.message || error.originalError}`
+            )
+          );
+        }
+      }
+    } else {
+      // Show human-readable error message when not verbose
+      const humanReadableMsg = error
+        ? this.getHumanReadableError(error)
+        : message;
+      console.error(chalk.red(message));
+      console.error(chalk.red(`  ${humanReadableMsg}`));
+    }
+  }
+
+  /**
+   * Log time consumption for an operation
+   * @param {string} operation - Operation name
+   * @param {number} startTime - Start time in milliseconds
+   */
+  logTimeConsumption(operation, startTime) {
+    if (this.verbose) {
+      const endTime = Date.now();
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+      const timestamp = this.getTimestamp();
+      console.log(
+        chalk.cyan(`[${timestamp}] ${operation} completed in ${duration}s`)
+      );
+    }
+  }
+
+  /**
+   * Resolve the connection target through ssh_config. Explicit options win;
+   * the matching entry fills in HostName, User, Port and IdentityFile.
+   * Defaults to the deployer's own host; jump hosts pass their own values.
+   * @param {string} [host] - Host name or ssh_config alias
+   * @param {string|null} [user] - Explicit user (falls back to ssh_config, then remoteUser)
+   * @param {number|null} [port] - Explicit port (falls back to ssh_config, then 22)
+   * @returns {{host: string, username: string, port: number, identityFiles: string[]}}
+   */
+  resolveSshTarget(
+    host = this.remoteHost,
+    user = this.remoteUser,
+    port = this.portOption
+  ) {
+    const entry =
+      this.sshConfig === false
+        ? {}
+        : resolveSshConfigHost(host, this.sshConfig || undefined);
+    return {
+      host: entry.hostName || host,
+      username: user || entry.user || this.remoteUser,
+      port: port || entry.port || 22,
+      identityFiles: entry.identityFiles || [],
+    };
+  }
+
+  /**
+   * Check a server host key against the pinned fingerprint or known_hosts,
+   * following hostKeyPolicy. A pinned fingerprint replaces the known_hosts
+   * check for the target host only; jump hosts always use known_hosts.
+   * As in OpenSSH, only known_hosts keys of the negotiated key type are
+   * compared, so a host recorded with another key type counts as unknown.
+   * Under "accept-new" unknown hosts are appended to known_hosts.
+   * @param {string} host - Host name used for the known_hosts lookup
+   * @param {number} port - SSH port
+   * @param {Buffer} key - Raw host key blob from the SSH handshake
+   * @param {boolean} [isTarget] - false for jump hosts
+   * @returns {HostKeyMismatchError|null} Error to raise, or null when accepted
+   */
+  verifyHostKey(host, port, key, isTarget = true) {
+    const actual = getHostKeyFingerprint(key);
+    if (this.fingerprint && isTarget) {
+      const expected = normalizeFingerprint(this.fingerprint);
+      return expected === actual
+        ? null
+        : new HostKeyMismatchError(host, expected, actual);
+    }
+    if (this.hostKeyPolicy === "off") return null;
+
+    const homeDir = process.env.HOME || process.env.USERPROFILE || os.homedir();
+    const knownHostsFile = this.knownHostsFile
+      ? path.resolve(this.knownHostsFile)
+      : path.join(homeDir, ".ssh", "known_hosts");
+    const encoded = key.toString("base64");
+    const entries = readKnownHosts(knownHostsFile, host, port);
+    const fingerprintsOf = (list) =>
+      list
+        .map((e) => getHostKeyFingerprint(Buffer.from(e.key, "base64")))
+        .join(", ");
+
+    if (entries.some((e) => e.revoked && e.key === encoded)) {
+      return new HostKeyMismatchError(host, "a non-revoked key", actual);
+    }
+    const keyType = key.toString("ascii", 4, 4 + key.readUInt32BE(0));
+    const trusted = entries.filter((e) => !e.revoked && e.type === keyType);
+    if (trusted.some((e) => e.key === encoded)) return null;
+    if (trusted.length > 0) {
+      return new HostKeyMismatchError(host, fingerprintsOf(trusted), actual);
+    }
+    if (this.hostKeyPolicy === "strict") {
+      return new HostKeyMismatchError(host, null, actual);
+    }
+
+    // accept-new: trust on first use and remember the key
+    fs.ensureDirSync(path.dirname(knownHostsFile));
+    const existing = fs.existsSync(knownHostsFile)
+      ? fs.readFileSync(knownHostsFile, "utf8")
+      : "";
+    const separator = existing && !existing.endsWith("\n") ? "\n" : "";
+    fs.appendFileSync(
+      knownHostsFile,
+      `${separator}${knownHostsName(host, port)} ${keyType} ${encoded}\n`
+    );
+    this.log(`Added ${host} (${actual}) to ${knownHostsFile}`, "yellow");
+    return null;
+  }
+
+  /**
+   * Build the ordered list of SSH authentication methods tried by connect().
+   * Order: ssh-agent, explicit privateKeyPath, ssh_config IdentityFile entries
+   * and keys from ~/.ssh (in keyFiles order; both skipped when privateKeyPath
+   * is set), then password.
+   * @param {string[]} [identityFiles] - IdentityFile paths from ssh_config
+   * @returns {{label: string, type: string, keyPath?: string, options?: Object, error?: string}[]}
+   */
+  getAuthMethods(identityFiles = []) {
+    const homeDir = process.env.HOME || process.env.USERPROFILE || "";
+    const methods = [];
+
+    if (this.agent) {
+      const agentSocket =
+        typeof this.agent === "string" ? this.agent : process.env.SSH_AUTH_SOCK;
+      if (agentSocket) {
+        methods.push({
+          label: "ssh-agent",
+          type: "agent",
+          options: { agent: agentSocket },
+        });
+      } else {
+        methods.push({
+          label: "ssh-agent",
+          type: "agent",
+          error: "SSH_AUTH_SOCK is not set",
+        });
+      }
+    }
+
+    const resolveKeyPath = (keyFile) => {
+      if (keyFile.startsWith("~")) {
+        return path.join(homeDir, keyFile.slice(1));
+      }
+      return path.isAbsolute(keyFile)
+        ? keyFile
+        : path.join(homeDir, ".ssh", keyFile);
+    };
+
+    if (this.privateKeyPath) {
+      const keyPath = this.privateKeyPath.startsWith("~")
+        ? path.join(homeDir, this.privateKeyPath.slice(1))
+        : path.resolve(this.privateKeyPath);
+      methods.push({
+        label: `key: ${this.privateKeyPath}`,
+        type: "key",
+        keyPath,
+        error: fs.existsSync(keyPath)
+          ? undefined
+          : `Private key not found: ${keyPath}`,
+      });
+    } else {
+      for (const keyPath of identityFiles) {
+        if (fs.existsSync(keyPath)) {
+          methods.push({ label: `key: ${keyPath}`, type: "key", keyPath });
+        }
+      }
+      for (const keyFile of this.keyFiles) {
+        const keyPath = resolveKeyPath(keyFile);
+        if (fs.existsSync(keyPath)) {
+          methods.push({ label: `key: ${keyFile}`, type: "key", keyPath });
+        }
+      }
+    }
+
+    const password = this.password ?? process.env.DAFFODIL_SSH_PASSWORD;
+    if (password) {
+      methods.push({
+        label: "password",
+        type: "password",
+        options: { password },
+      });
+    }
+
+    return methods;
+  }
+
+  /**
+   * Resolve the passphrase for an encrypted private key: the `passphrase`
+   * option, then DAFFODIL_SSH_PASSPHRASE, then an interactive prompt (TTY only).
+   * @param {string} label - Auth method label shown in the prompt
+   * @returns {Promise<string|null>} Passphrase, or null when none is available
+   */
+  async resolvePassphrase(label) {
+    if (this.passphrase) return this.passphrase;
+    if (process.env.DAFFODIL_SSH_PASSPHRASE) {
+      return process.env.DAFFODIL_SSH_PASSPHRASE;
+    }
+    if (!process.stdin.isTTY) return null;
+
+    const { passphrase } = await inquirer.prompt([
+      {
+        type: "password",
+        name: "passphrase",
+        mask: "*",
+        message: `Passphrase for ${label.replace(/^key: /, "")}:`,
+      },
+    ]);
+    // Remember it so multi-host deploys only prompt once
+    this.passphrase = passphrase;
+    return passphrase;
+  }
+
+  /**
+   * Authenticate one SSH connection, trying getAuthMethods() in order.
+   * A rejected host key aborts immediately without trying other credentials.
+   * @param {NodeSSH} ssh - Connection to open
+   * @param {Object} target - Target from resolveSshTarget()
+   * @param {Object} spinner - ora spinner (paused while prompting)
+   * @param {Function} [openSocket] - (host, port) => forwarded stream, when
+   *   the target is reached through a jump host
+   * @param {boolean} [isTarget] - false for jump hosts, which are never
+   *   checked against the pinned fingerprint
+   * @returns {Promise<string>} Label of the method that succeeded
+   */
+  async authenticate(ssh, target, spinner, openSocket = null, isTarget = true) {
+    const methods = this.getAuthMethods(target.identityFiles);
+    const failures = [];
+    let hostKeyError = null;
+
+    if (this.verbose) {
+      this.log(
+        `Attempting SSH connection to ${target.username}@${target.host}:${target.port}`,
+        "blue"
+      );
+      this.log(
+        `Authentication order: ${methods.map((m) => m.label).join(", ") || "none"}`,
+        "blue"
+      );
+    }
+
+    const connectWith = async (options) =>
+      ssh.connect({
+        host: target.host,
+        username: target.username,
+        port: target.port,
+        readyTimeout: this.readyTimeout,
+        keepaliveInterval: this.keepaliveInterval,
+        hostVerifier: (key) => {
+          hostKeyError = this.verifyHostKey(
+            target.host,
+            target.port,
+            key,
+            isTarget
+          );
+          return !hostKeyError;
+        },
+        ...(openSocket
+          ? { sock: await openSocket(target.host, target.port) }
+          : {}),
+        ...options,
+      });
+
+    for (const method of methods) {
+      if (method.error) {
+        failures.push({ method: method.label, error: method.error });
+        continue;
+      }
+      try {
+        if (this.verbose) {
+          this.log(`Trying SSH authentication: ${method.label}`, "blue");
+        }
+        if (method.type === "key") {
+          const privateKey = fs.readFileSync(method.keyPath, "utf8");
+          try {
+            await connectWith({ privateKey, passphrase: this.passphrase });
+          } catch (err) {
+            // Encrypted key without (or with a wrong) passphrase: ask once
+            if (this.passphrase || !/passphrase/i.test(err.message || "")) {
+              throw err;
+            }
+            spinner.stop();
+            const passphrase = await this.resolvePassphrase(method.label);
+            spinner.start();
+            if (!passphrase) {
+              throw new Error(
+                "Private key is encrypted and no passphrase was provided (set passphrase or DAFFODIL_SSH_PASSPHRASE)"
+              );
+            }
+            await connectWith({ privateKey, passphrase });
+          }
+        } else {
+          await connectWith(method.options);
+        }
+        return method.label; // ✅ Success, skip remaining
+      } catch (err) {
+        // A rejected host key is fatal: never retry other credentials
+        if (hostKeyError) {
+          spinner.fail(
+            chalk.red("Connection failed: Host key verification failed.")
+          );
+          this.logError("Host key verification failed", hostKeyError);
+          throw hostKeyError;
+        }
+        // Unreachable server: other credentials won't help, let connect() retry
+        if (isTransientConnectionError(err)) {
+          throw err;
+        }
+        const errorMsg = this.verbose
+          ? err.message
+          : this.getHumanReadableError(err);
+        failures.push({ method: method.label, error: errorMsg });
+        if (this.verbose) {
+          this.logError(`Failed to connect with ${method.label}`, err);
+        }
+      }
+    }
+
+    // ❌ All methods failed
+    spinner.fail(
+      chalk.red(
+        `Connection to ${target.host} failed: No SSH authentication method worked.`
+      )
+    );
+
+    if (failures.length === 0) {
+      console.error(
+        chalk.red(
+          "No SSH authentication methods available. Configure privateKeyPath, agent or password, or add a key to ~/.ssh."
+        )
+      );
+    } else {
+      console.error(chalk.red("Tried the following authentication methods:"));
+      failures.forEach((f) => {
+        console.error(chalk.red(`- ${f.method}: ${f.error}`));
+      });
+    }
+
+    // Throw error instead of process.exit for library code
+    throw new Error(
+      `SSH connection failed: No SSH authentication method worked for ${target.host} (tried: ${
+        failures.map((f) => f.method).join(", ") || "none"
+      }). Please ensure your SSH credentials are properly configured.`
+    );
+  }
+
+  /**
+   * Parse the jumpHost option into resolved hops, outermost bastion first.
+   * Accepts ProxyJump-style strings ("user@host:port", comma-separated for
+   * chains) or an array of such strings / { host, user, port } objects.
+   * Each hop is resolved through ssh_config like the final host.
+   * @returns {Object[]} Targets as returned by resolveSshTarget()
+   */
+  getJumpHosts() {
+    if (!this.jumpHost) return [];
+    const specs = Array.isArray(this.jumpHost)
+      ? this.jumpHost
+      : String(this.jumpHost).split(",");
+
+    return specs.map((spec) => {
+      if (spec && typeof spec === "object") {
+        return this.resolveSshTarget(
+          spec.host,
+          spec.user || null,
+          spec.port || null
+        );
+      }
+      const match = String(spec)
+        .trim()
+        .match(/^(?:([^@]+)@)?([^:@]+)(?::(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid jumpHost entry: "${spec}"`);
+      }
+      return this.resolveSshTarget(
+        match[2],
+        match[1] || null,
+        match[3] ? Number.parseInt(match[3], 10) : null
+      );
+    });
+  }
+
+  /**
+   * Connect to the remote host (through any jump hosts), retrying transient
+   * network failures up to `retries` times with exponential backoff
+   * (retryDelay, 2x retryDelay, 4x retryDelay, ...).
+   */
+  async connect() {
+    const startTime = Date.now();
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.openConnection();
+        break;
+      } catch (err) {
+        if (attempt > this.retries || !isTransientConnectionError(err)) {
+          throw err;
+        }
+        const delay = this.retryDelay * 2 ** (attempt - 1);
+        this.log(
+          `Connection to ${this.remoteHost} failed (${this.getHumanReadableError(err)}). Retry ${attempt}/${this.retries} in ${delay}ms...`,
+          "yellow"
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+    this.logTimeConsumption("SSH Connection", startTime);
+
+    const ensurePath = path.posix.resolve(this.remotePath);
+    await this.ssh.execCommand(`mkdir -p ${this.escapeShellArg(ensurePath)}`);
+    this.log(`Verified or created remote path: ${ensurePath}`, "blue");
+  }
+
+  /**
+   * Single connection attempt used by connect(): opens each jump host in
+   * turn, then authenticates the target through the last hop.
+   */
+  async openConnection() {
+    const spinner = ora(`Connecting to ${this.remoteHost}`).start();
+    const hops = this.getJumpHosts();
+    let openSocket = null;
+    let methodLabel;
+
+    try {
+      // Open each bastion through the previous one, then the target itself
+      for (const hop of hops) {
+        spinner.text = `Connecting to jump host ${hop.host}`;
+        const hopSsh = new NodeSSH();
+        const hopMethod = await this.authenticate(
+          hopSsh,
+          hop,
+          spinner,
+          openSocket,
+          false
+        );
+        this.jumpConnections.push(hopSsh);
+        if (this.verbose) {
+          this.log(
+            `Jump host ${hop.host} connected using ${hopMethod}`,
+            "blue"
+          );
+        }
+        openSocket = (host, port) =>
+          hopSsh.forwardOut("127.0.0.1", 0, host, port);
+      }
+
+      spinner.text = `Connecting to ${this.remoteHost}`;
+      methodLabel = await this.authenticate(
+        this.ssh,
+        this.resolveSshTarget(),
+        spinner,
+        openSocket
+      );
+    } catch (err) {
+      this.disconnect();
+      if (spinner.isSpinning) {
+        spinner.fail(
+          chalk.red(
+            `Connection to ${this.remoteHost} failed: ${this.getHumanReadableError(err)}`
+          )
+        );
+      }
+      throw err;
+    }
+
+    const via = hops.length
+      ? ` via ${hops.map((hop) => hop.host).join(" -> ")}`
+      : "";
+    spinner.succeed(chalk.green(`SSH Connected using ${methodLabel}${via}`));
+  }
+
+  /**
+   * Close the SSH connection and any jump host connections behind it.
+   */
+  disconnect() {
+    this.ssh.dispose();
+    for (const hopSsh of this.jumpConnections.reverse()) {
+      hopSsh.dispose();
+    }
+    this.jumpConnections = [];
+  }
+
+  loadIgnoreList() {
+    if (!fs.existsSync(this.ignoreFile)) {
+      fs.writeFileSync(this.ignoreFile, "# Add ignore patterns\n");
+      this.log(`Created ${this.ignoreFile}`, "yellow");
+    }
+    const excludeList = fs
+      .readFileSync(this.ignoreFile, "utf-8")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"));
+
+    if (this.verbose && excludeList.length > 0) {
+      this.log(
+        `Loaded ${excludeList.length} exclude pattern(s) from ${this.ignoreFile}`,
+        "blue"
+      );
+    }
+
+    return excludeList;
+  }
+
+  /**
+   * Build the filter used for transfers and fetches: `.scpignore` patterns
+   * with gitignore semantics, ignore files of the same name inside `root`
+   * (nested ones apply to their own directory), then options.exclude. With
+   * options.include only matching files pass. The incremental manifest at
+   * the top level is always excluded.
+   * @param {string|null} [root] - Local directory being transferred
+   * @param {Object} [options] - include, exclude (pattern or array)
+   * @returns {function(string, boolean=): boolean} (relPath, isDirectory) => excluded
+   */
+  createIgnoreFilter(root = null, options = {}) {
+    return createIgnoreMatcher({
+      patterns: this.excludeList,
+      exclude: [...[].concat(options.exclude || []), `/${MANIFEST_FILE}`],
+      include: [].concat(options.include || []),
+      root,
+      ignoreFileName: path.basename(this.ignoreFile),
+    });
   }
 
   /**
-   * Log error with verbose details if verbose is enabled
-   * @param {string} message - Error message
-   * @param {Error} error - Error object
+   * Run a local shell command without blocking the event loop, printing
+   * stdout/stderr line by line as it arrives.
+   * @param {string} cmd - Shell command
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Working directory (default: process.cwd())
+   * @param {Object} [options.env] - Extra environment variables (merged over process.env)
+   * @param {boolean|string} [options.shell] - Shell to run the command in (default: true, the system shell)
+   * @param {number} [options.timeout] - Kill the command after this many ms
+   * @param {boolean} [options.allowFailure] - Return instead of throwing on failure
+   * @param {number[]} [options.okExitCodes] - Exit codes treated as success (default: [0])
+   * @param {function(string): void} [options.onStdout] - Called per stdout line (replaces printing)
+   * @param {function(string): void} [options.onStderr] - Called per stderr line (replaces printing)
+   * @param {AbortSignal} [options.signal] - Kills the command when aborted (default: the running step's signal)
+   * @returns {Promise<{stdout: string, stderr: string, code: (number|null), signal: (string|null), durationMs: number}>}
+   * @throws {CommandFailedError} When the command fails and allowFailure is not set
    */
-  logError(message, error = null) {
+  async runCommand(cmd, options = {}) {
+    const startTime = Date.now();
+    const {
+      cwd,
+      env,
+      shell = true,
+      timeout,
+      allowFailure = false,
+      okExitCodes = [0],
+      onStdout,
+      onStderr,
+      signal: abortSignal = this.stepSignal,
+    } = options;
+    abortSignal?.throwIfAborted();
     if (this.verbose) {
-      const timestamp = this.getTimestamp();
-      console.error(chalk.red(`[${timestamp}] ${message}`));
-      if (error) {
-        console.error(chalk.red(`  Error Name: ${error.name || "Unknown"}`));
-        console.error(
-          chalk.red(`  Error Message: ${error.message || "No message"}`)
-        );
-        if (error.code) {
-          console.error(chalk.red(`  Error Code: ${error.code}`));
+      this.log(
+        `Executing local command: ${cmd}${cwd ? ` (in ${cwd})` : ""}`,
+        "blue"
+      );
+    }
+    if (cwd && !(await fs.pathExists(cwd))) {
+      throw new PathNotFoundError(cwd, "directory");
+    }
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    const out = createLineBuffer(onStdout || ((line) => console.log(line)));
+    const err = createLineBuffer(
+      onStderr || ((line) => console.error(chalk.red(line)))
+    );
+    const { code, signal } = await new Promise((resolve, reject) => {
+      // When it can be stopped (timeout or abort signal), the command gets
+      // its own process group on POSIX so everything the shell started is
+      // killed, not just the shell. Otherwise it stays in ours and still
+      // receives Ctrl+C. A detached group misses the terminal's Ctrl+C, so
+      // SIGINT/SIGTERM/SIGHUP sent to us are passed on to it.
+      const detached =
+        Boolean(timeout || abortSignal) && process.platform !== "win32";
+      const child = spawn(cmd, {
+        cwd,
+        env: env ? { ...process.env, ...env } : process.env,
+        shell,
+        detached,
+      });
+      const kill = () => {
+        try {
+          if (detached) process.kill(-child.pid, "SIGTERM");
+          else child.kill();
+        } catch {
+          // Already exited
         }
-        if (error.stack) {
-          console.error(chalk.red(`  Stack Trace:\n${error.stack}`));
+      };
+      const forwarded = detached ? ["SIGINT", "SIGTERM", "SIGHUP"] : [];
+      const onProcessSignal = (processSignal) => {
+        kill();
+        stopForwarding();
+        // Without other handlers, the signal ends this process as usual
+        if (process.listenerCount(processSignal) === 0) {
+          process.kill(process.pid, processSignal);
         }
-        if (error.originalError) {
-          console.error(
-            chalk.red(
-              `  Original Error: ${error.originalError.message || error.originalError}`
-            )
-          );
+      };
+      const stopForwarding = () => {
+        for (const name of forwarded) {
+          process.removeListener(name, onProcessSignal);
         }
+      };
+      for (const name of forwarded) {
+        process.on(name, onProcessSignal);
+      }
+      const timer = timeout
+        ? setTimeout(() => {
+            timedOut = true;
+            kill();
+          }, timeout)
+        : null;
+      // An abort settles right away rather than waiting for output to close
+      const onAbort = () => {
+        clearTimeout(timer);
+        stopForwarding();
+        kill();
+        reject(abortSignal.reason);
+      };
+      abortSignal?.addEventListener("abort", onAbort, { once: true });
+      child.stdout.on("data", (chunk) => {
+        stdout += chunk;
+        out.push(chunk);
+      });
+      child.stderr.on("data", (chunk) => {
+        stderr += chunk;
+        err.push(chunk);
+      });
+      child.on("error", (spawnErr) => {
+        clearTimeout(timer);
+        stopForwarding();
+        abortSignal?.removeEventListener("abort", onAbort);
+        reject(spawnErr);
+      });
+      child.on("close", (exitCode, exitSignal) => {
+        clearTimeout(timer);
+        stopForwarding();
+        abortSignal?.removeEventListener("abort", onAbort);
+        resolve({ code: exitCode, signal: exitSignal });
+      });
+    });
+    out.flush();
+    err.flush();
+    const result = {
+      stdout,
+      stderr,
+      code,
+      signal,
+      durationMs: Date.now() - startTime,
+    };
+    this.logTimeConsumption(`Local command: ${cmd}`, startTime);
+
+    const failed =
+      timedOut ||
+      Boolean(signal) ||
+      (typeof code === "number" && !okExitCodes.includes(code));
+    if (failed) {
+      if (!allowFailure) {
+        throw new CommandFailedError(cmd, { ...result, timedOut });
+      }
+      if (this.verbose) {
+        this.log(
+          `Local command failed (allowed): ${signal || `exit code ${code}`}`,
+          "yellow"
+        );
       }
-    } else {
-      // Show human-readable error message when not verbose
-      const humanReadableMsg = error
-        ? this.getHumanReadableError(error)
-        : message;
-      console.error(chalk.red(message));
-      console.error(chalk.red(`  ${humanReadableMsg}`));
     }
+    return result;
   }
 
   /**
-   * Log time consumption for an operation
-   * @param {string} operation - Operation name
-   * @param {number} startTime - Start time in milliseconds
+   * Convenience alias for local shell execution.
+   * @param {string} cmd
+   * @param {Object} [options] - See runCommand
    */
-  logTimeConsumption(operation, startTime) {
-    if (this.verbose) {
-      const endTime = Date.now();
-      const duration = ((endTime - startTime) / 1000).toFixed(2);
-      const timestamp = this.getTimestamp();
-      console.log(
-        chalk.cyan(`[${timestamp}] ${operation} completed in ${duration}s`)
+  async local(cmd, options) {
+    return this.runCommand(cmd, options);
+  }
+
+  /**
+   * Wrap a remote command in sudo. The password (option, constructor
+   * sudoPassword, then DAFFODIL_SUDO_PASSWORD) is returned as stdin for
+   * `sudo -S` and never appears in the command line. Without a password,
+   * `sudo -n` fails fast instead of waiting for a prompt.
+   * @param {string} cmd - Remote shell command
+   * @param {Object} [options]
+   * @param {boolean} [options.sudo] - Run through sudo
+   * @param {string} [options.sudoUser] - Target user (default: root)
+   * @param {string} [options.sudoPassword] - sudo password
+   * @param {boolean} [keepStdin] - Leave stdin to the command (for piped
+   *   data); only possible without a password
+   * @returns {{command: string, stdin: (string|undefined)}}
+   */
+  buildSudoCommand(
+    cmd,
+    { sudo = false, sudoUser, sudoPassword } = {},
+    keepStdin = false
+  ) {
+    if (!sudo && !sudoUser) {
+      return { command: cmd, stdin: undefined };
+    }
+    const password =
+      sudoPassword ?? this.sudoPassword ?? process.env.DAFFODIL_SUDO_PASSWORD;
+    if (password && keepStdin) {
+      throw new Error(
+        "A sudo password cannot be sent to a command reading stdin"
       );
     }
+    const flags = password ? "-S -p ''" : "-n";
+    const user = sudoUser ? ` -u ${this.escapeShellArg(sudoUser)}` : "";
+    // Detach the command from stdin so it cannot read the password itself
+    // when sudo skips the prompt (cached credentials or NOPASSWD)
+    const inner = this.escapeShellArg(
+      keepStdin ? cmd : `exec </dev/null; ${cmd}`
+    );
+    return {
+      command: `sudo ${flags}${user} -- sh -c ${inner}`,
+      stdin: password ? `${password}\n` : undefined,
+    };
   }
 
-  async connect() {
+  /**
+   * Run a remote command, optionally through sudo (see buildSudoCommand).
+   * @param {string} cmd - Remote shell command
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword; onStdout/onStderr receive raw chunks; signal aborts the command
+   * @returns {Promise<Object>} node-ssh exec result
+   * @private
+   */
+  async execRemote(cmd, options = {}) {
+    const { command, stdin } = this.buildSudoCommand(cmd, options);
+    const { onStdout, onStderr, signal } = options;
+    signal?.throwIfAborted();
+    let channel = null;
+    const exec = this.ssh.execCommand(command, {
+      ...(stdin === undefined ? {} : { stdin }),
+      ...(onStdout ? { onStdout } : {}),
+      ...(onStderr ? { onStderr } : {}),
+      onChannel: (clientChannel) => {
+        channel = clientChannel;
+      },
+    });
+    if (!signal) return exec;
+
+    // On abort, kill the remote process and close the channel
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        if (channel) {
+          try {
+            channel.signal("KILL");
+          } catch {
+            // Server does not support signals; closing still detaches us
+          }
+          channel.close();
+        }
+        reject(signal.reason);
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+      exec
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+
+  /**
+   * Prefix a remote command with `cd` and `export` so it runs in cwd with
+   * env set. Values are quoted with escapeShellArg; the exports sit inside
+   * any sudo wrapper, so they survive sudo's environment reset.
+   * @param {string} cmd - Remote shell command
+   * @param {Object} [options]
+   * @param {string|null} [options.cwd] - Remote directory (null: no cd)
+   * @param {Object} [options.env] - Variables to export
+   * @returns {string}
+   */
+  buildRemoteCommand(cmd, { cwd = null, env = {} } = {}) {
+    const prefix = [];
+    for (const [name, value] of Object.entries(env)) {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`Invalid environment variable name: ${name}`);
+      }
+      prefix.push(`export ${name}=${this.escapeShellArg(value ?? "")}`);
+    }
+    if (cwd) {
+      prefix.push(`cd ${this.escapeShellArg(cwd)}`);
+    }
+    return prefix.length ? `${prefix.join(" && ")} && ${cmd}` : cmd;
+  }
+
+  /**
+   * Run a command on the remote host.
+   * @param {string} cmd - Remote shell command
+   * @param {Object} [options]
+   * @param {string|null} [options.cwd] - Remote working directory (default: remotePath, null to skip)
+   * @param {Object} [options.env] - Extra variables, merged over the deployer's remoteEnv
+   * @param {boolean} [options.sudo] - Run through sudo
+   * @param {string} [options.sudoUser] - Run as this user via sudo (implies sudo)
+   * @param {string} [options.sudoPassword] - sudo password, sent over stdin
+   * @param {boolean} [options.allowFailure] - Return instead of throwing on failure
+   * @param {number[]} [options.okExitCodes] - Exit codes treated as success (default: [0])
+   * @param {function(string): void} [options.onStdout] - Called per stdout line (replaces printing)
+   * @param {function(string): void} [options.onStderr] - Called per stderr line (replaces printing)
+   * @param {AbortSignal} [options.signal] - Kills the command when aborted (default: the running step's signal)
+   * @returns {Promise<{stdout: string, stderr: string, code: (number|null), signal: (string|null), durationMs: number}>}
+   * @throws {CommandFailedError} When the command fails and allowFailure is not set
+   */
+  async sshCommand(cmd, options = {}) {
     const startTime = Date.now();
-    const spinner = ora(`Connecting to ${this.remoteHost}`).start();
-    const homeDir = process.env.HOME || process.env.USERPROFILE;
-    const keyFiles = ["id_rsa", "id_ed25519", "id_ecdsa", "id_dsa"];
-    const failures = [];
+    const {
+      sudo = false,
+      sudoUser,
+      allowFailure = false,
+      okExitCodes = [0],
+      onStdout,
+      onStderr,
+      cwd = this.remotePath,
+      env = {},
+    } = options;
+    const remoteCmd = this.buildRemoteCommand(cmd, {
+      cwd,
+      env: { ...this.remoteEnv, ...env },
+    });
+    if (this.verbose) {
+      const as =
+        sudo || sudoUser ? ` (sudo${sudoUser ? ` -u ${sudoUser}` : ""})` : "";
+      const where = cwd ? ` in ${cwd}` : "";
+      this.log(`Executing SSH command${as}${where}: ${cmd}`, "blue");
+    }
+    // Print (or hand over) output line by line while the command runs
+    const out = createLineBuffer(
+      onStdout ||
+        ((line) =>
+          this.verbose
+            ? this.log(`SSH stdout: ${line}`, "green")
+            : console.log(chalk.green(line)))
+    );
+    const err = createLineBuffer(
+      onStderr ||
+        ((line) =>
+          this.verbose
+            ? this.logError(`SSH stderr: ${line}`)
+            : console.error(chalk.red(line)))
+    );
+    const { stdout, stderr, code, signal } = await this.execRemote(remoteCmd, {
+      ...options,
+      signal: options.signal ?? this.stepSignal,
+      onStdout: (chunk) => out.push(chunk),
+      onStderr: (chunk) => err.push(chunk),
+    });
+    out.flush();
+    err.flush();
+    const result = {
+      stdout,
+      stderr,
+      code,
+      signal,
+      durationMs: Date.now() - startTime,
+    };
+    this.logTimeConsumption(`SSH command: ${cmd}`, startTime);
+
+    // A missing exit status (code null without a signal) is not a failure
+    const failed =
+      Boolean(signal) ||
+      (typeof code === "number" && !okExitCodes.includes(code));
+    if (failed) {
+      if (!allowFailure) {
+        throw new CommandFailedError(cmd, result);
+      }
+      if (this.verbose) {
+        this.log(
+          `SSH command failed (allowed): ${signal || `exit code ${code}`}`,
+          "yellow"
+        );
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Convenience alias for running a remote SSH command.
+   * @param {string} cmd
+   * @param {Object} [options] - See sshCommand
+   */
+  async ssh(cmd, options) {
+    return this.sshCommand(cmd, options);
+  }
+
+  /**
+   * Upload a local script to a temp file on the remote host, run it with
+   * the given interpreter and remove it again, even when it fails.
+   * @param {string} localScriptPath - Local script file
+   * @param {Object} [options] - Also accepts every sshCommand option (cwd, env, sudo, sudoUser, allowFailure, onStdout, ...)
+   * @param {string[]} [options.args] - Arguments passed to the script (escaped)
+   * @param {string} [options.interpreter] - Remote interpreter, e.g. "bash", "sh", "python3", "node" (default: "bash")
+   * @returns {Promise<Object>} sshCommand result
+   * @throws {PathNotFoundError} When the local script does not exist
+   * @throws {CommandFailedError} When the script fails and allowFailure is not set
+   */
+  async script(localScriptPath, options = {}) {
+    const { args = [], interpreter = "bash", ...commandOptions } = options;
+    if (!(await fs.pathExists(localScriptPath))) {
+      throw new PathNotFoundError(localScriptPath, "file");
+    }
+    if (!Array.isArray(args)) {
+      throw new Error("script args must be an array");
+    }
 
+    const tmp = await this.ssh.execCommand(
+      "mktemp /tmp/daffodil-script.XXXXXX"
+    );
+    const remoteScriptPath = tmp.stdout?.trim();
+    if (tmp.code !== 0 || !remoteScriptPath) {
+      throw new TransferError(
+        `Could not create a temp file for the script: ${tmp.stderr || "mktemp failed"}`
+      );
+    }
     if (this.verbose) {
       this.log(
-        `Attempting SSH connection to ${this.remoteHost}:${this.port}`,
+        `Uploading script ${localScriptPath} to ${remoteScriptPath}`,
         "blue"
       );
-      this.log(`Trying SSH keys from: ${homeDir}\\.ssh`, "blue");
     }
+    try {
+      await this.ssh.putFile(localScriptPath, remoteScriptPath);
+      // mktemp creates the file as 0600; another sudo user needs to read it
+      if (commandOptions.sudoUser) {
+        await this.ssh.execCommand(
+          `chmod 644 ${this.escapeShellArg(remoteScriptPath)}`
+        );
+      }
+      const argList = args.map((arg) => ` ${this.escapeShellArg(arg)}`);
+      return await this.sshCommand(
+        `${interpreter} ${this.escapeShellArg(remoteScriptPath)}${argList.join("")}`,
+        commandOptions
+      );
+    } finally {
+      await this.ssh.execCommand(
+        `rm -f ${this.escapeShellArg(remoteScriptPath)}`
+      );
+    }
+  }
 
-    for (const keyFile of keyFiles) {
-      const keyPath = path.join(homeDir, ".ssh", keyFile);
-      if (fs.existsSync(keyPath)) {
-        try {
-          if (this.verbose) {
-            this.log(`Trying SSH key: ${keyFile}`, "blue");
-          }
-          await this.ssh.connect({
-            host: this.remoteHost,
-            username: this.remoteUser,
-            port: this.port,
-            privateKey: fs.readFileSync(keyPath, "utf8"),
-          });
-          spinner.succeed(chalk.green(`SSH Connected using key: ${keyFile}`));
-          this.logTimeConsumption("SSH Connection", startTime);
-
-          const ensurePath = path.posix.resolve(this.remotePath);
-          await this.ssh.execCommand(
-            `mkdir -p ${this.escapeShellArg(ensurePath)}`
-          );
-          this.log(`Verified or created remote path: ${ensurePath}`, "blue");
-          return; // ✅ Success, skip remaining
-        } catch (err) {
-          const errorMsg = this.verbose
-            ? err.message
-            : this.getHumanReadableError(err);
-          failures.push({ key: keyFile, error: errorMsg });
-          if (this.verbose) {
-            this.logError(`Failed to connect with key ${keyFile}`, err);
-          }
-        }
+  /**
+   * Write content to a remote file through a temp upload, creating parent
+   * directories. Runs the final copy through sudo when requested, so
+   * root-owned paths work; an existing file keeps its owner and mode, a new
+   * one starts as 0600 (minus umask) unless options.mode is given.
+   * @param {string|Buffer} content - File content
+   * @param {string} destination - Absolute remote path
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword, mode
+   * @private
+   */
+  async writeRemoteFile(content, destination, options = {}) {
+    const tmp = await this.ssh.execCommand("mktemp /tmp/daffodil.XXXXXX");
+    const remoteTmpPath = tmp.stdout?.trim();
+    if (tmp.code !== 0 || !remoteTmpPath) {
+      throw new TransferError(
+        `Could not create a remote temp file: ${tmp.stderr || "mktemp failed"}`
+      );
+    }
+    const localTmpPath = path.join(
+      os.tmpdir(),
+      `daffodil_upload_${process.pid}_${Date.now()}`
+    );
+    const quotedDest = this.escapeShellArg(destination);
+    try {
+      await fs.writeFile(localTmpPath, content);
+      await this.ssh.putFile(localTmpPath, remoteTmpPath);
+      // mktemp creates the file as 0600; another sudo user needs to read it
+      if (options.sudoUser) {
+        await this.ssh.execCommand(
+          `chmod 644 ${this.escapeShellArg(remoteTmpPath)}`
+        );
+      }
+      const install = [
+        `mkdir -p ${this.escapeShellArg(path.posix.dirname(destination))}`,
+        `cp ${this.escapeShellArg(remoteTmpPath)} ${quotedDest}`,
+      ];
+      if (options.mode) {
+        install.push(
+          `chmod ${this.escapeShellArg(options.mode)} ${quotedDest}`
+        );
+      }
+      const result = await this.execRemote(install.join(" && "), options);
+      if (result.code !== 0) {
+        throw new TransferError(
+          `Failed to write ${destination}: ${result.stderr || result.stdout}`
+        );
       }
+    } finally {
+      await fs.remove(localTmpPath);
+      await this.ssh.execCommand(`rm -f ${this.escapeShellArg(remoteTmpPath)}`);
     }
+  }
 
-    // ❌ All keys failed
-    spinner.fail(chalk.red("Connection failed: No valid SSH keys worked."));
+  /**
+   * Variables available to template(): the current host's fields (name,
+   * host, user, port, group and custom inventory.ini attributes),
+   * remotePath, `env` (process.env), the constructor's templateVars and
+   * finally the given vars, later sources winning.
+   * @param {Object} [vars] - Call-specific variables
+   * @returns {Object}
+   */
+  getTemplateVars(vars = {}) {
+    const hostFields = this.inventoryTarget || {
+      name: this.remoteHost,
+      host: this.remoteHost,
+      user: this.remoteUser,
+    };
+    return {
+      ...hostFields,
+      port: this.port,
+      remotePath: this.remotePath,
+      env: process.env,
+      ...this.templateVars,
+      ...vars,
+    };
+  }
 
-    if (this.verbose) {
-      this.logError("Connection failed: No valid SSH keys worked.");
-      console.error(chalk.red("Tried the following keys:"));
-      failures.forEach((f) => {
-        this.logError(`- ${f.key}: ${f.error}`);
-      });
-    } else {
-      console.error(chalk.red("SSH connection failed: Authentication failed."));
-      console.error(
-        chalk.red("Please ensure your SSH keys are properly configured.")
-      );
+  /**
+   * Render a local template (see renderTemplate) with host variables and
+   * upload it to remoteDest. The remote file is only rewritten when its
+   * content differs, and an existing file keeps its owner and mode.
+   * @param {string} localTemplate - Local template file
+   * @param {string} remoteDest - Remote file path (relative to remotePath)
+   * @param {Object} [vars] - Template variables (override host variables)
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword; mode (e.g. "640")
+   * @returns {Promise<{changed: boolean, path: string}>}
+   */
+  async template(localTemplate, remoteDest, vars = {}, options = {}) {
+    const startTime = Date.now();
+    if (!(await fs.pathExists(localTemplate))) {
+      throw new PathNotFoundError(localTemplate, "file");
     }
+    const rendered = renderTemplate(
+      await fs.readFile(localTemplate, "utf8"),
+      this.getTemplateVars(vars)
+    );
+    const destination = path.posix.isAbsolute(remoteDest)
+      ? remoteDest
+      : path.posix.join(this.remotePath, remoteDest);
 
-    // Throw error instead of process.exit for library code
-    throw new Error(
-      "SSH connection failed: No valid SSH keys worked. Please ensure your SSH keys are properly configured."
+    const localHash = crypto
+      .createHash("sha256")
+      .update(rendered)
+      .digest("hex");
+    if ((await this.remoteSha256(destination, options)) === localHash) {
+      this.log(`Template unchanged: ${destination}`, "blue");
+      return { changed: false, path: destination };
+    }
+
+    await this.writeRemoteFile(rendered, destination, options);
+    this.log(`Template rendered to ${destination}`, "green");
+    this.logTimeConsumption(`Template: ${destination}`, startTime);
+    return { changed: true, path: destination };
+  }
+
+  /**
+   * SHA-256 of a remote file via `sha256sum`, falling back to `shasum -a 256`.
+   * @param {string} remoteFile - Remote file path
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword
+   * @returns {Promise<string|null>} Hex digest, or null if the file is
+   *   missing or neither tool is available
+   */
+  async remoteSha256(remoteFile, options = {}) {
+    const quoted = this.escapeShellArg(remoteFile);
+    const result = await this.execRemote(
+      `sha256sum ${quoted} 2>/dev/null || shasum -a 256 ${quoted} 2>/dev/null`,
+      options
     );
+    const digest = result.stdout?.split(/\s+/)[0];
+    return /^[0-9a-f]{64}$/.test(digest || "") ? digest : null;
   }
 
-  loadIgnoreList() {
-    if (!fs.existsSync(this.ignoreFile)) {
-      fs.writeFileSync(this.ignoreFile, "# Add ignore patterns\n");
-      this.log(`Created ${this.ignoreFile}`, "yellow");
+  async makeDirectory(dirName) {
+    const startTime = Date.now();
+    const fullPath = path.posix.join(this.remotePath, dirName);
+    this.log(`Creating remote directory: ${fullPath}`, "blue");
+    // fullPath already includes remotePath, so run from the login directory
+    await this.sshCommand(`mkdir -p ${this.escapeShellArg(fullPath)}`, {
+      cwd: null,
+    });
+    this.logTimeConsumption(`Create directory: ${fullPath}`, startTime);
+  }
+
+  /**
+   * Build a manifest of the entries under localPath, keyed by POSIX path
+   * relative to the transferred directory (or the basename for a single
+   * file). Files carry their size and hash; symlinks their target, unless
+   * followSymlinks records what they point to; directories are listed so
+   * empty ones are shipped and removed ones deleted. Paths excluded by
+   * createIgnoreFilter() are left out.
+   * @param {string} localPath - Local file or directory
+   * @param {Object} [options] - include, exclude, followSymlinks
+   * @returns {Promise<Object<string, ({size: number, hash: string}|{type: "symlink", target: string}|{type: "directory"})>>}
+   */
+  async buildTransferManifest(localPath, options = {}) {
+    const manifest = {};
+    const stats = await fs.stat(localPath);
+    if (!stats.isDirectory()) {
+      manifest[path.basename(localPath)] = {
+        size: stats.size,
+        hash: await hashFile(localPath),
+      };
+      return manifest;
     }
-    const excludeList = fs
-      .readFileSync(this.ignoreFile, "utf-8")
-      .split("\n")
-      .map((line) => line.trim())
-      .filter((line) => line && !line.startsWith("#"));
 
-    if (this.verbose && excludeList.length > 0) {
-      this.log(
-        `Loaded ${excludeList.length} exclude pattern(s) from ${this.ignoreFile}`,
-        "blue"
+    const follow = options.followSymlinks === true;
+    const isIgnored = this.createIgnoreFilter(localPath, options);
+    const walk = async (relDir) => {
+      const entries = await fs.readdir(path.join(localPath, relDir), {
+        withFileTypes: true,
+      });
+      for (const entry of entries) {
+        const relPath = relDir
+          ? path.posix.join(relDir, entry.name)
+          : entry.name;
+        const fullPath = path.join(localPath, relPath);
+        let type = entry;
+        if (follow && entry.isSymbolicLink()) {
+          // Dangling links stay links, as tar packs them
+          type = await fs.stat(fullPath).catch(() => entry);
+        }
+        if (isIgnored(relPath, type.isDirectory())) {
+          continue;
+        }
+        if (type.isDirectory()) {
+          manifest[relPath] = { type: "directory" };
+          await walk(relPath);
+        } else if (type.isSymbolicLink()) {
+          manifest[relPath] = {
+            type: "symlink",
+            target: await fs.readlink(fullPath),
+          };
+        } else if (type.isFile()) {
+          const { size } = await fs.stat(fullPath);
+          manifest[relPath] = { size, hash: await hashFile(fullPath) };
+        }
+      }
+    };
+    await walk("");
+    return manifest;
+  }
+
+  /**
+   * Compare the local files against the manifest left on the remote by the
+   * previous incremental transfer. A missing or unreadable remote manifest
+   * means every file is treated as changed.
+   * @param {string} localPath - Local file or directory
+   * @param {string} destinationPath - Remote directory
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword
+   * @returns {Promise<{manifest: Object, changed: string[], removed: string[], removedDirectories: string[], unchanged: string[]}>}
+   *   removedDirectories repeats the directories of `removed`, deepest first
+   */
+  async planIncrementalTransfer(localPath, destinationPath, options = {}) {
+    const manifest = await this.buildTransferManifest(localPath, options);
+    const manifestPath = path.posix.join(destinationPath, MANIFEST_FILE);
+
+    let previous = {};
+    const result = await this.execRemote(
+      `cat ${this.escapeShellArg(manifestPath)}`,
+      options
+    );
+    if (result.code === 0) {
+      try {
+        previous = JSON.parse(result.stdout).files || {};
+      } catch {
+        this.log("Remote manifest is invalid, sending all files", "yellow");
+      }
+    }
+
+    const changed = [];
+    const unchanged = [];
+    for (const [file, entry] of Object.entries(manifest)) {
+      const old = previous[file];
+      if (
+        old &&
+        (old.type || "file") === (entry.type || "file") &&
+        old.size === entry.size &&
+        old.hash === entry.hash &&
+        old.target === entry.target
+      ) {
+        unchanged.push(file);
+      } else {
+        changed.push(file);
+      }
+    }
+    const removed = Object.keys(previous).filter((file) => !manifest[file]);
+    const removedDirectories = removed
+      .filter((file) => previous[file].type === "directory")
+      .sort((a, b) => b.split("/").length - a.split("/").length);
+    return { manifest, changed, removed, removedDirectories, unchanged };
+  }
+
+  /**
+   * Upload localPath file by file over SFTP (the "sftp" transfer method, for
+   * remotes without tar). Directories go through node-ssh's putDirectory,
+   * skipping ignored paths; a single file or the changed entries of an
+   * incremental plan are put (or created) directly. At most `concurrency` uploads run at
+   * once. SFTP creates files as 0666 minus the remote umask, so files get
+   * permissions.mode, or their local permission bits back unless
+   * preservePermissions is false; directories get permissions.dirMode.
+   * Symlinks are recreated as symlinks unless permissions.followSymlinks
+   * asks for their targets to be uploaded.
+   * @param {string} localPath - Local file or directory
+   * @param {string} destinationPath - Remote directory
+   * @param {Object} context - isDirectory, isIgnored (see
+   *   createIgnoreFilter), plan, permissions (see resolvePermissions),
+   *   concurrency, onFile(size) called after each uploaded file
+   * @returns {Promise<{files: string[], directories: string[]}>} Uploaded
+   *   paths relative to destinationPath
+   * @private
+   */
+  async uploadTree(
+    localPath,
+    destinationPath,
+    { isDirectory, isIgnored, plan, permissions, concurrency, onFile }
+  ) {
+    const root = isDirectory ? localPath : path.dirname(localPath);
+    const toPosix = (relative) => relative.split(path.sep).join("/");
+    const toRemote = (relative) =>
+      path.posix.join(destinationPath, toPosix(relative));
+    const transferOptions =
+      permissions.mode === null ? {} : { mode: permissions.mode };
+    const keepLocalMode =
+      permissions.mode === null && permissions.preservePermissions !== false;
+    const files = [];
+    const directories = [];
+    const symlinks = [];
+    const chmods = [];
+    const chmodErrors = [];
+    const sftp = await this.ssh.requestSFTP();
+    const chmod = (relative, mode) => {
+      chmods.push(
+        new Promise((resolve) => {
+          sftp.chmod(toRemote(relative), mode, (err) => {
+            if (err) chmodErrors.push(`${relative}: ${err.message}`);
+            resolve();
+          });
+        })
+      );
+    };
+    const uploadedFile = (relative) => {
+      const stats = fs.statSync(path.join(root, relative));
+      files.push(toPosix(relative));
+      if (keepLocalMode) chmod(relative, stats.mode & 0o7777);
+      onFile(stats.size);
+    };
+
+    try {
+      if (isDirectory && !plan) {
+        const failures = [];
+        const ok = await this.ssh.putDirectory(localPath, destinationPath, {
+          recursive: true,
+          concurrency,
+          sftp,
+          transferOptions,
+          validate: (itemPath) => {
+            const relative = path.relative(localPath, itemPath);
+            let itemIsDirectory;
+            try {
+              const stats = permissions.followSymlinks
+                ? fs.statSync(itemPath)
+                : fs.lstatSync(itemPath);
+              if (stats.isSymbolicLink()) {
+                if (!isIgnored(toPosix(relative), false)) {
+                  symlinks.push(relative);
+                }
+                return false;
+              }
+              itemIsDirectory = stats.isDirectory();
+            } catch {
+              return false;
+            }
+            if (isIgnored(toPosix(relative), itemIsDirectory)) return false;
+            if (itemIsDirectory) directories.push(toPosix(relative));
+            return true;
+          },
+          tick: (localFile, remoteFile, error) => {
+            if (error) {
+              failures.push(`${remoteFile}: ${error.message}`);
+            } else {
+              uploadedFile(path.relative(localPath, localFile));
+            }
+          },
+        });
+        if (!ok) {
+          throw new Error(
+            `Failed to upload ${failures.length} file(s): ${failures.slice(0, 5).join("; ")}`
+          );
+        }
+      } else {
+        const list = plan ? plan.changed : [path.basename(localPath)];
+        const typeOf = (file) => (plan ? plan.manifest[file].type : undefined);
+        const uploads = list.filter((file) => !typeOf(file));
+        symlinks.push(...list.filter((file) => typeOf(file) === "symlink"));
+        // Changed directories are created even when they are empty
+        const parents = [
+          ...new Set([
+            ...list
+              .filter((file) => typeOf(file) !== "directory")
+              .map((file) => path.posix.dirname(toPosix(file))),
+            ...list.filter((file) => typeOf(file) === "directory"),
+          ]),
+        ]
+          .filter((dir) => dir !== ".")
+          .sort((a, b) => a.length - b.length);
+        await this.ssh.mkdir(destinationPath, "sftp", sftp);
+        for (const dir of parents) {
+          await this.ssh.mkdir(toRemote(dir), "sftp", sftp);
+          directories.push(dir);
+        }
+        for (let i = 0; i < uploads.length; i += concurrency) {
+          await Promise.all(
+            uploads.slice(i, i + concurrency).map(async (file) => {
+              await this.ssh.putFile(
+                path.join(root, file),
+                toRemote(file),
+                sftp,
+                transferOptions
+              );
+              uploadedFile(file);
+            })
+          );
+        }
+      }
+
+      for (const link of symlinks) {
+        const target = await fs.readlink(path.join(root, link));
+        const remoteLink = toRemote(link);
+        // Replace whatever is there; SFTP symlink fails on existing paths
+        await new Promise((resolve) =>
+          sftp.unlink(remoteLink, () => resolve())
+        );
+        await new Promise((resolve, reject) => {
+          sftp.symlink(target, remoteLink, (err) =>
+            err ? reject(err) : resolve()
+          );
+        });
+        files.push(toPosix(link));
+      }
+
+      if (permissions.dirMode !== null) {
+        directories.forEach((dir) => chmod(dir, permissions.dirMode));
+      }
+      await Promise.all(chmods);
+    } finally {
+      sftp.end();
+    }
+    if (chmodErrors.length > 0) {
+      throw new Error(
+        `Failed to set permissions on ${chmodErrors.length} path(s): ${chmodErrors.slice(0, 5).join("; ")}`
       );
     }
-
-    return excludeList;
+    return { files, directories };
   }
 
-  async runCommand(cmd) {
-    const startTime = Date.now();
-    if (this.verbose) {
-      this.log(`Executing local command: ${cmd}`, "blue");
-    }
-    try {
-      const output = execSync(cmd, { stdio: "pipe" }); // changed from 'inherit' to 'pipe'
-      const result = output?.toString() || "";
-      console.log(result);
-      this.logTimeConsumption(`Local command: ${cmd}`, startTime);
-      return result;
-    } catch (e) {
-      const errorMsg = e.stderr?.toString() || e.message;
-      this.logError(`Local command failed: ${errorMsg}`, e);
-      return null;
+  /**
+   * Run a remote command over paths, at most 200 at a time so long lists
+   * stay below the remote ARG_MAX. Stops at the first failing chunk.
+   * @param {string[]} paths - Paths to pass to the command
+   * @param {function(string): string} buildCmd - Builds the command from
+   *   one chunk of quoted, space-separated paths
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword
+   * @returns {Promise<Object|null>} The failed result, or null on success
+   * @private
+   */
+  async runChunked(paths, buildCmd, options = {}) {
+    for (let i = 0; i < paths.length; i += 200) {
+      const args = paths
+        .slice(i, i + 200)
+        .map((file) => this.escapeShellArg(file))
+        .join(" ");
+      const result = await this.execRemote(buildCmd(args), options);
+      if (result.code !== 0) return result;
     }
+    return null;
   }
 
   /**
-   * Convenience alias for local shell execution.
-   * @param {string} cmd
+   * chown the extracted entries (not the rest of the destination) to
+   * owner/group; symlinks themselves are changed, not their targets.
+   * @param {string} destinationPath - Remote directory
+   * @param {string[]} paths - Archived paths, relative to destinationPath
+   * @param {Object} permissions - Result of resolvePermissions()
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword
+   * @private
    */
-  async local(cmd) {
-    return this.runCommand(cmd);
+  async applyOwnership(destinationPath, paths, permissions, options = {}) {
+    const { owner, group } = permissions;
+    if ((owner === null && group === null) || paths.length === 0) return;
+    const spec = `${owner ?? ""}${group === null ? "" : `:${group}`}`;
+    const failed = await this.runChunked(
+      paths,
+      (files) =>
+        `cd ${this.escapeShellArg(destinationPath)} && chown -h ${this.escapeShellArg(spec)} -- ${files}`,
+      options
+    );
+    if (failed) {
+      throw new TransferError(
+        `Failed to change ownership to ${spec}: ${failed.stderr || failed.stdout}`
+      );
+    }
+    this.log(`Changed ownership of ${paths.length} path(s) to ${spec}`, "blue");
   }
 
-  async sshCommand(cmd) {
-    const startTime = Date.now();
-    if (this.verbose) {
-      this.log(`Executing SSH command: ${cmd}`, "blue");
+  /**
+   * Delete removed files (when requested) and store the new manifest on the
+   * remote once an incremental transfer has been extracted.
+   * @param {Object} plan - Result of planIncrementalTransfer()
+   * @param {string} destinationPath - Remote directory
+   * @param {Object} [options] - deleteRemoved, sudo, sudoUser, sudoPassword
+   */
+  async finishIncrementalTransfer(plan, destinationPath, options = {}) {
+    if (options.deleteRemoved && plan.removed.length > 0) {
+      const directories = plan.removedDirectories || [];
+      const steps = [
+        ["rm -f", plan.removed.filter((file) => !directories.includes(file))],
+        // Directories still holding remote-only files are left in place
+        ["rmdir", directories, " 2>/dev/null || true"],
+      ];
+      for (const [command, paths, suffix = ""] of steps) {
+        const failed = await this.runChunked(
+          paths,
+          (files) =>
+            `cd ${this.escapeShellArg(destinationPath)} && ${command} -- ${files}${suffix}`,
+          options
+        );
+        if (failed) {
+          throw new TransferError(
+            `Failed to remove deleted files: ${failed.stderr || failed.stdout}`
+          );
+        }
+      }
+      this.log(`Removed ${plan.removed.length} deleted path(s)`, "blue");
     }
-    const result = await this.ssh.execCommand(cmd);
-    if (result.stdout) {
-      if (this.verbose) {
-        this.log(`SSH stdout: ${result.stdout}`, "green");
-      } else {
-        console.log(chalk.green(result.stdout));
+
+    const content = JSON.stringify(
+      { version: 1, updatedAt: new Date().toISOString(), files: plan.manifest },
+      null,
+      2
+    );
+    // 0600: the file list and hashes are nobody else's business
+    await this.writeRemoteFile(
+      content,
+      path.posix.join(destinationPath, MANIFEST_FILE),
+      { ...options, mode: "600" }
+    );
+  }
+
+  /**
+   * List the remote entries under destinationPath that a mirror transfer
+   * would delete: everything not shipped, except paths matching
+   * options.protect or the transfer's own exclusions (which are never
+   * shipped, so deleting them would wipe remote-only state) and the
+   * incremental manifest.
+   * @param {string} destinationPath - Remote directory
+   * @param {string[]} shipped - Local paths being transferred, relative
+   * @param {function(string, boolean): boolean} isIgnored - Transfer filter
+   * @param {Object} [options] - protect, sudo, sudoUser, sudoPassword
+   * @returns {Promise<{files: string[], directories: string[]}>} Relative
+   *   paths; directories deepest first
+   * @private
+   */
+  async findStalePaths(destinationPath, shipped, isIgnored, options = {}) {
+    const isProtected = createIgnoreMatcher({
+      patterns: [].concat(options.protect || []),
+    });
+    // Shipped paths and their parents stay
+    const keep = new Set();
+    for (const relPath of shipped) {
+      const segments = relPath.split("/");
+      for (let i = 1; i <= segments.length; i++) {
+        keep.add(segments.slice(0, i).join("/"));
       }
     }
-    if (result.stderr) {
-      if (this.verbose) {
-        this.logError(`SSH stderr: ${result.stderr}`);
-      } else {
-        console.error(chalk.red(result.stderr));
+    const listRemote = async (type) => {
+      const result = await this.execRemote(
+        `cd ${this.escapeShellArg(destinationPath)} 2>/dev/null || exit 0; find . -mindepth 1 ${type}`,
+        options
+      );
+      if (result.code !== 0) {
+        throw new TransferError(
+          `Failed to list remote files: ${result.stderr || result.stdout}`
+        );
+      }
+      return result.stdout
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => line.replace(/^\.\//, ""));
+    };
+    const isStale = (relPath, isDirectory) =>
+      !keep.has(relPath) &&
+      relPath !== MANIFEST_FILE &&
+      !isProtected(relPath, isDirectory) &&
+      !isIgnored(relPath, isDirectory);
+
+    const remoteFiles = await listRemote("! -type d");
+    const remoteDirectories = await listRemote("-type d");
+    const files = remoteFiles.filter((file) => isStale(file, false));
+    // A directory goes only if nothing inside it survives
+    const surviving = [
+      ...remoteFiles.filter((file) => !files.includes(file)),
+      ...remoteDirectories.filter((dir) => !isStale(dir, true)),
+    ];
+    const occupied = new Set();
+    for (const relPath of surviving) {
+      const segments = relPath.split("/");
+      for (let i = 1; i < segments.length; i++) {
+        occupied.add(segments.slice(0, i).join("/"));
       }
     }
-    this.logTimeConsumption(`SSH command: ${cmd}`, startTime);
+    const directories = remoteDirectories
+      .filter((dir) => isStale(dir, true) && !occupied.has(dir))
+      .sort((a, b) => b.split("/").length - a.split("/").length);
+    return { files, directories };
   }
 
   /**
-   * Convenience alias for running a remote SSH command.
-   * @param {string} cmd
+   * Delete the paths found by findStalePaths(): files first, then the
+   * (by then empty) directories, deepest first.
+   * @param {string} destinationPath - Remote directory
+   * @param {{files: string[], directories: string[]}} stale
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword
+   * @private
    */
-  async ssh(cmd) {
-    return this.sshCommand(cmd);
+  async deleteStalePaths(destinationPath, stale, options = {}) {
+    const steps = [
+      ["rm -f", stale.files],
+      ["rmdir", stale.directories],
+    ];
+    for (const [command, paths] of steps) {
+      const failed = await this.runChunked(
+        paths,
+        (args) =>
+          `cd ${this.escapeShellArg(destinationPath)} && ${command} -- ${args}`,
+        options
+      );
+      if (failed) {
+        throw new TransferError(
+          `Failed to delete stale paths: ${failed.stderr || failed.stdout}`
+        );
+      }
+    }
+    const count = stale.files.length + stale.directories.length;
+    if (count > 0) {
+      this.log(`Mirror: deleted ${count} stale path(s)`, "blue");
+    }
   }
 
-  async makeDirectory(dirName) {
-    const startTime = Date.now();
-    const fullPath = path.posix.join(this.remotePath, dirName);
-    this.log(`Creating remote directory: ${fullPath}`, "blue");
-    await this.sshCommand(`mkdir -p ${this.escapeShellArg(fullPath)}`);
-    this.logTimeConsumption(`Create directory: ${fullPath}`, startTime);
-  }
+  /**
+   * Archive localPath, upload it and extract it into destinationPath.
+   * With sudo/sudoUser the archive is staged in a private mktemp directory
+   * under /tmp and extracted via sudo, so root-owned destinations (e.g.
+   * /etc, /var/www) can be written.
+   * @param {string} localPath - Local file or directory
+   * @param {string} [destinationPath] - Remote directory (default: remotePath)
+   * With options.incremental only files whose size or hash differ from the
+   * remote manifest (and new directories or changed symlinks) are shipped;
+   * options.deleteRemoved also deletes remote paths that no longer exist
+   * locally.
+   * With the "releases" strategy the transfer goes through deployRelease().
+   *
+   * Progress is drawn as bars and reported to onProgress (at most every
+   * 100ms, plus the final event of each phase):
+   *   { phase: "archive", files, totalFiles, bytes, totalBytes, percent }
+   *   { phase: "upload", bytes, totalBytes, percent, speed, eta }
+   * where speed is in bytes per second and eta in seconds (null if unknown).
+   *
+   * With options.stream (default: the constructor's) the archive is piped
+   * into `tar -xzf -` over an exec channel instead of being written to
+   * process.cwd() and uploaded; gzip's own checksum then stands in for the
+   * SHA-256 check, and upload events have totalBytes and percent null.
+   * Streaming under sudo needs passwordless sudo, otherwise the archive is
+   * staged as usual.
+   *
+   * options.compression picks the archive format (gzip, zstd, xz or none,
+   * with options.compressionLevel); zstd and xz need the compressor locally
+   * and are checked against the remote tar before anything is archived.
+   *
+   * options.mode/dirMode (octal, e.g. "644") replace the permission bits of
+   * archived files/directories and are extracted as-is (tar -p);
+   * preservePermissions true/false forces tar -p or the remote umask.
+   * owner/group chown the extracted entries afterwards (usually needs sudo).
+   * followSymlinks archives the targets of local symlinks and, when the
+   * remote tar is GNU tar, extracts through symlinked remote directories
+   * instead of replacing them.
+   *
+   * options.method (default: the constructor's) is "archive", "sftp" for
+   * remotes without tar (see uploadTree; no sudo) or "auto", which probes
+   * for tar first.
+   *
+   * options.mirror (alias delete) makes destinationPath match a local
+   * directory: remote paths that are not shipped are listed before the
+   * transfer and deleted after it, except those matching options.protect
+   * (gitignore-style, e.g. uploads/, .env) or excluded from the transfer.
+   * options.dryRun only lists them and returns {files, directories}
+   * without transferring anything.
+   * @param {Object} [options] - include, exclude (gitignore-style patterns
+   *   on top of .scpignore), onProgress (default: the constructor's),
+   *   incremental, deleteRemoved, strategy, release, keepReleases, stream,
+   *   verify, uploadRetries, compression, compressionLevel, mode, dirMode,
+   *   owner, group, preservePermissions, followSymlinks, method,
+   *   concurrency, mirror, delete, protect, dryRun, sudo, sudoUser,
+   *   sudoPassword
+   */
+  async transferFiles(
+    localPath,
+    destinationPath = this.remotePath,
+    options = {}
+  ) {
+    const compression = resolveCompression(
+      options.compression,
+      options.compressionLevel
+    );
+    const permissions = resolvePermissions(options);
+    const requestedMethod = options.method ?? this.method;
+    if (!TRANSFER_METHODS.includes(requestedMethod)) {
+      throw new Error(`method must be one of: ${TRANSFER_METHODS.join(", ")}`);
+    }
+    const concurrency = options.concurrency ?? 4;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error("concurrency must be a positive integer");
+    }
+    const mirror = Boolean(options.mirror || options.delete);
+    if ((options.strategy || this.strategy) === "releases") {
+      if (mirror) {
+        throw new Error(
+          "mirror cannot be used with the releases strategy; each release starts empty"
+        );
+      }
+      return this.deployRelease(localPath, destinationPath, options);
+    }
 
-  async transferFiles(localPath, destinationPath = this.remotePath) {
     const transferStartTime = Date.now();
+    const elevated = Boolean(options.sudo || options.sudoUser);
+    // A streamed archive occupies the channel's stdin, so sudo cannot be
+    // given a password there
+    let streaming = options.stream ?? this.stream;
+    if (
+      streaming &&
+      elevated &&
+      (options.sudoPassword ??
+        this.sudoPassword ??
+        process.env.DAFFODIL_SUDO_PASSWORD)
+    ) {
+      this.log(
+        "Streaming needs passwordless sudo; staging the archive instead",
+        "yellow"
+      );
+      streaming = false;
+    }
+    const emitProgress = throttleProgress(
+      options.onProgress || this.onProgress
+    );
     const spinner = ora(
       `Transferring files from ${localPath} to ${destinationPath}`
     ).start();
@@ -521,133 +3250,585 @@ export class Daffodil {
       spinner.fail(
         chalk.red("Transfer failed: Path is not a file or directory")
       );
-      const error = new PathNotFoundError(localPath, "file or directory");
-      // Only log detailed error in verbose mode
-      if (this.verbose) {
-        this.logError(
-          "Transfer failed: Path is not a file or directory",
-          error
-        );
-      }
+      const error = new PathNotFoundError(localPath, "file or directory");
+      // Only log detailed error in verbose mode
+      if (this.verbose) {
+        this.logError(
+          "Transfer failed: Path is not a file or directory",
+          error
+        );
+      }
+      throw error;
+    }
+
+    // auto uses the archive method when the remote has tar
+    let method = requestedMethod;
+    if (method === "auto") {
+      spinner.text = chalk.blue("Checking for tar on the remote...");
+      const probe = await this.ssh.execCommand("command -v tar");
+      method = probe.code === 0 ? "archive" : "sftp";
+      this.log(
+        `Remote tar ${method === "archive" ? "found" : "not found"}; using the ${method} method`,
+        "blue"
+      );
+    }
+    if (method === "sftp") {
+      streaming = false;
+      if (elevated) {
+        spinner.fail(chalk.red("Transfer failed: sftp method cannot use sudo"));
+        throw new TransferError(
+          "The sftp method uploads as the SSH user and cannot use sudo"
+        );
+      }
+    }
+
+    // gzip and plain tar are universal; make sure the remote tar can read
+    // zstd or xz before anything is archived or uploaded
+    if (method === "archive" && compression.command) {
+      spinner.text = chalk.blue(
+        `Checking remote tar support for ${compression.format}...`
+      );
+      const flags = compression.tarFlags;
+      const probe = await this.ssh.execCommand(
+        `tar ${flags} -cf - -T /dev/null | tar ${flags} -tf - >/dev/null`
+      );
+      if (probe.code !== 0) {
+        spinner.fail(
+          chalk.red(
+            `Transfer failed: remote tar cannot read ${compression.format}`
+          )
+        );
+        throw new TransferError(
+          `Remote tar does not support ${compression.format} archives: ${(probe.stderr || probe.stdout || "").trim()}`
+        );
+      }
+    }
+
+    // --keep-directory-symlink is GNU tar only; BSD tar and busybox reject
+    // it, so followSymlinks extracts without it there
+    let keepDirectorySymlinks = false;
+    if (method === "archive" && permissions.followSymlinks) {
+      const probe = await this.ssh.execCommand("tar --version");
+      keepDirectorySymlinks = /GNU tar/.test(probe.stdout || "");
+      if (!keepDirectorySymlinks) {
+        this.log(
+          "Remote tar is not GNU tar: symlinked remote directories may be replaced or rejected on extraction",
+          "yellow"
+        );
+      }
+    }
+
+    // Build filter function for .scpignore (and nested ignore files) plus
+    // the include/exclude options
+    const isIgnored = this.createIgnoreFilter(
+      isDirectory ? localPath : null,
+      options
+    );
+
+    // Mirror: list what the transfer will delete before touching anything
+    let stale = null;
+    if (mirror) {
+      if (!isDirectory) {
+        spinner.fail(chalk.red("Transfer failed: mirror needs a directory"));
+        throw new TransferError(
+          `mirror can only be used when transferring a directory: ${localPath}`
+        );
+      }
+      spinner.text = chalk.blue("Looking for stale remote files...");
+      const shipped = (
+        await listTree(localPath, isIgnored, permissions.followSymlinks)
+      ).map((entry) => entry.path);
+      try {
+        stale = await this.findStalePaths(
+          destinationPath,
+          shipped,
+          isIgnored,
+          options
+        );
+      } catch (err) {
+        spinner.fail(chalk.red("Transfer failed: could not list remote files"));
+        throw err;
+      }
+      const listing = [
+        ...stale.files,
+        ...stale.directories.map((dir) => `${dir}/`),
+      ];
+      this.log(
+        options.dryRun
+          ? `Dry run: ${listing.length} stale path(s) would be deleted from ${destinationPath}`
+          : `Mirror: ${listing.length} stale path(s) will be deleted from ${destinationPath}`,
+        "yellow"
+      );
+      for (const entry of listing) {
+        this.log(`  - ${entry}`, "yellow");
+      }
+    }
+    if (options.dryRun) {
+      spinner.succeed(chalk.green("Dry run complete (nothing transferred)"));
+      return stale;
+    }
+
+    // Work out which files changed since the last incremental transfer
+    let plan = null;
+    if (options.incremental) {
+      spinner.text = chalk.blue("Comparing with remote manifest...");
+      try {
+        plan = await this.planIncrementalTransfer(
+          localPath,
+          destinationPath,
+          options
+        );
+      } catch (err) {
+        spinner.fail(chalk.red("Transfer failed: could not compare manifest"));
+        throw new TransferError(
+          `Failed to compare with remote manifest: ${err.message}`
+        );
+      }
+      this.log(
+        `Incremental transfer: ${plan.changed.length} changed, ${plan.removed.length} removed, ${plan.unchanged.length} unchanged`,
+        "blue"
+      );
+    }
+
+    // Under sudo, extracted files are owned by the sudo user rather than
+    // the local uid stored in the tar. Forced modes are kept exactly (-p)
+    // unless preservePermissions: false asks for the remote umask.
+    const preserve =
+      permissions.preservePermissions ??
+      (permissions.mode !== null || permissions.dirMode !== null ? true : null);
+    const extractFlags = [
+      elevated ? "--no-same-owner" : null,
+      preserve === true ? "-p" : null,
+      preserve === false ? "--no-same-permissions" : null,
+      // Extract through remote symlinks to directories instead of
+      // replacing them with real directories
+      keepDirectorySymlinks ? "--keep-directory-symlink" : null,
+    ].filter(Boolean);
+    // Everything the transport methods and finishTransfer() share
+    const context = {
+      localPath,
+      destinationPath,
+      options,
+      isDirectory,
+      isIgnored,
+      plan,
+      stale,
+      permissions,
+      compression,
+      concurrency,
+      elevated,
+      spinner,
+      emitProgress,
+      startTime: transferStartTime,
+      extractCommand: (archive) =>
+        `tar ${compression.extractFlags} ${archive}${extractFlags.map((flag) => ` ${flag}`).join("")}`,
+    };
+
+    try {
+      if (plan && plan.changed.length === 0) {
+        await this.finishTransfer(context, [], "no changed files");
+      } else if (method === "sftp") {
+        const uploaded = await this.transferOverSftp(context);
+        await this.finishTransfer(context, uploaded, "sftp method");
+      } else if (streaming) {
+        const archived = await this.transferStreamed(context);
+        await this.finishTransfer(context, archived, "streamed");
+      } else {
+        const archived = await this.transferArchive(context);
+        await this.finishTransfer(context, archived, "archive method");
+      }
+    } catch (err) {
+      // Handle specific error types
+      if (err instanceof PathNotFoundError) {
+        spinner.fail(chalk.red(`Transfer failed: ${err.message}`));
+        // Only log detailed error in verbose mode
+        if (this.verbose) {
+          this.logError("Transfer failed: PathNotFoundError", err);
+        }
+        throw err;
+      }
+
+      // Handle ENOENT errors (file/directory not found)
+      if (err.code === "ENOENT" || err.message?.includes("ENOENT")) {
+        const pathMatch = err.message?.match(/lstat ['"](.+?)['"]/);
+        const missingPath = pathMatch ? pathMatch[1] : localPath;
+        const pathNotFoundError = new PathNotFoundError(
+          missingPath,
+          "file or directory"
+        );
+        spinner.fail(
+          chalk.red(`Transfer failed: ${pathNotFoundError.message}`)
+        );
+        // Only log detailed error in verbose mode
+        if (this.verbose) {
+          this.logError("Transfer failed: ENOENT error", pathNotFoundError);
+        }
+        throw pathNotFoundError;
+      }
+
+      // Already descriptive (e.g. checksum mismatch); do not wrap again
+      if (err instanceof TransferError) {
+        spinner.fail(chalk.red(`Transfer failed: ${err.message}`));
+        if (this.verbose) {
+          this.logError("Transfer failed: TransferError", err);
+        }
+        throw err;
+      }
+
+      // Handle other transfer errors
+      const transferError = new TransferError(
+        `Transfer failed: ${err.message}`,
+        err
+      );
+      spinner.fail(chalk.red(transferError.message));
+      // Only log detailed error in verbose mode
+      if (this.verbose) {
+        this.logError("Transfer failed: TransferError", transferError);
+      }
+      throw transferError;
+    }
+  }
+
+  /**
+   * Shared end of every transfer: chown the shipped paths, store the
+   * incremental manifest, delete the stale paths found by mirror and
+   * report the total time.
+   * @param {Object} context - destinationPath, options, plan, stale,
+   *   permissions, spinner, startTime (see transferFiles)
+   * @param {string[]} paths - Shipped paths, relative to destinationPath
+   * @param {string} label - How the files were sent, for the spinner
+   * @private
+   */
+  async finishTransfer(context, paths, label) {
+    const { destinationPath, options, plan, stale, permissions } = context;
+    await this.applyOwnership(destinationPath, paths, permissions, options);
+    if (plan) {
+      await this.finishIncrementalTransfer(plan, destinationPath, options);
+    }
+    if (stale) {
+      await this.deleteStalePaths(destinationPath, stale, options);
+    }
+    context.spinner.succeed(chalk.green(`Transfer complete (${label})`));
+    this.logTimeConsumption("Total file transfer", context.startTime);
+  }
+
+  /**
+   * The "sftp" transport: upload the files one by one (see uploadTree),
+   * reporting upload events per file.
+   * @param {Object} context - localPath, destinationPath, isDirectory,
+   *   isIgnored, plan, permissions, concurrency, spinner, emitProgress
+   *   (see transferFiles)
+   * @returns {Promise<string[]>} Uploaded paths, relative to destinationPath
+   * @private
+   */
+  async transferOverSftp(context) {
+    const { localPath, destinationPath, plan, permissions, spinner } = context;
+    const { emitProgress } = context;
+    const uploadStartTime = Date.now();
+    spinner.text = chalk.blue("Uploading files over SFTP...");
+    const totals = plan
+      ? planTotals(plan)
+      : await measureTree(
+          localPath,
+          context.isIgnored,
+          permissions.followSymlinks
+        );
+    const sent = { files: 0, bytes: 0 };
+    const uploadEvent = () => {
+      const elapsed = (Date.now() - uploadStartTime) / 1000;
+      const speed = elapsed > 0 ? sent.bytes / elapsed : 0;
+      return {
+        phase: "upload",
+        files: sent.files,
+        totalFiles: totals.files,
+        bytes: sent.bytes,
+        totalBytes: totals.bytes,
+        percent: totals.bytes
+          ? Math.round((sent.bytes / totals.bytes) * 100)
+          : 100,
+        speed: Math.round(speed),
+        eta: speed > 0 ? Math.round((totals.bytes - sent.bytes) / speed) : null,
+      };
+    };
+    const uploaded = await this.uploadTree(localPath, destinationPath, {
+      isDirectory: context.isDirectory,
+      isIgnored: context.isIgnored,
+      plan,
+      permissions,
+      concurrency: context.concurrency,
+      onFile: (size) => {
+        sent.files++;
+        sent.bytes += size;
+        spinner.text = chalk.blue(
+          `Uploading files over SFTP (${sent.files}/${totals.files})...`
+        );
+        emitProgress(uploadEvent());
+      },
+    });
+    emitProgress(uploadEvent(), true);
+    this.log(
+      `Uploaded ${sent.files} file(s) (${formatBytes(sent.bytes)}) over SFTP`,
+      "blue"
+    );
+    this.logTimeConsumption("SFTP upload", uploadStartTime);
+    return [...uploaded.directories, ...uploaded.files];
+  }
+
+  /**
+   * Start packing a transfer into an archive stream: the changed entries of
+   * an incremental plan, or everything under localPath that passes
+   * isIgnored. Draws the archive progress bar and reports archive events
+   * as tar writes the file data.
+   * @param {Object} context - localPath, isDirectory, isIgnored, plan,
+   *   permissions, compression, emitProgress (see transferFiles)
+   * @returns {Promise<{pack: import("stream").Readable, archivedPaths: string[], stop: function(): void, complete: function(): void}>}
+   *   archivedPaths fills up as entries are packed; stop() ends the
+   *   progress bar and complete() reports the final archive event
+   * @private
+   */
+  async packTransfer(context) {
+    const { localPath, isDirectory, isIgnored, plan } = context;
+    const { permissions, compression, emitProgress } = context;
+    // Create the archive locally (cross-platform using tar npm package)
+    context.spinner.text = chalk.blue("Creating archive...");
+
+    // Prepare archive configuration
+    // For directories: archive contents directly (not the directory itself)
+    // For files: archive the file itself
+    const baseDir = isDirectory ? localPath : path.dirname(localPath);
+    const baseName = path.basename(localPath);
+
+    if (this.verbose) {
+      this.log("Step 1: Creating archive locally", "blue");
+      this.log(`Base directory: ${baseDir}`, "blue");
+      this.log(
+        `Compression: ${compression.format}${compression.level === null ? "" : ` (level ${compression.level})`}`,
+        "blue"
+      );
+      if (this.excludeList.length > 0) {
+        this.log(`Exclude patterns: ${this.excludeList.join(", ")}`, "blue");
+      }
+    }
+
+    const ignoreFilter = plan
+      ? null
+      : (filePath, entryStats) =>
+          !isIgnored(filePath, entryStats.isDirectory());
+
+    // Determine what to archive
+    // For directories: read directory contents and archive them directly
+    // For files: archive the file itself
+    let archiveEntries;
+    if (plan) {
+      // Only the changed entries; exclusions were applied to the manifest
+      archiveEntries = plan.changed;
+    } else if (isDirectory) {
+      // Read directory contents to archive them directly (not the directory itself)
+      const entries = await fs.readdir(localPath);
+      archiveEntries = entries;
+    } else {
+      archiveEntries = [baseName];
+    }
+
+    if (this.verbose) {
+      this.log(`Archive entries: ${archiveEntries.length}`, "blue");
+    }
+
+    // Files and bytes to archive, for the progress bar and onProgress
+    const totals = plan
+      ? planTotals(plan)
+      : await measureTree(localPath, isIgnored, permissions.followSymlinks);
+    const archived = { files: 0, bytes: 0 };
+    // Every entry in the archive, for applyOwnership
+    const archivedPaths = [];
+    const archiveEvent = () => ({
+      phase: "archive",
+      files: archived.files,
+      totalFiles: totals.files,
+      bytes: archived.bytes,
+      totalBytes: totals.bytes,
+      percent: totals.bytes
+        ? Math.round((archived.bytes / totals.bytes) * 100)
+        : 100,
+    });
+    const archiveBar = new cliProgress.SingleBar(
+      {
+        format:
+          "Archiving [{bar}] {percentage}% | {value}/{total} files | {archivedBytes}",
+      },
+      cliProgress.Presets.shades_classic
+    );
+    archiveBar.start(totals.files, 0, { archivedBytes: formatBytes(0) });
+    // Progress follows the file data as it is written into the archive
+    const countEntry = (entry) => {
+      watchEntryData(
+        entry,
+        (bytes) => {
+          archived.bytes += bytes;
+          archiveBar.update(archived.files, {
+            archivedBytes: formatBytes(archived.bytes),
+          });
+          emitProgress(archiveEvent());
+        },
+        () => {
+          archived.files++;
+          archiveBar.update(archived.files, {
+            archivedBytes: formatBytes(archived.bytes),
+          });
+          emitProgress(archiveEvent());
+        }
+      );
+    };
+
+    // tar calls the filter once per entry it is about to add
+    const packFilter = (filePath, entryStats) => {
+      if (ignoreFilter && !ignoreFilter(filePath, entryStats)) {
+        return false;
+      }
+      archivedPaths.push(filePath);
+      return true;
+    };
+    // Archive options: followSymlinks packs link targets, mode/dirMode
+    // replace the permission bits recorded for files/directories. Files
+    // are read 1 MiB at a time (tar's default is 16 MiB) so large files
+    // move the progress bar while they are packed. An incremental plan
+    // lists changed directories on their own, without their contents.
+    const tarOptions = {
+      cwd: baseDir,
+      follow: permissions.followSymlinks,
+      noDirRecurse: Boolean(plan),
+      maxReadSize: 1024 * 1024,
+      filter: packFilter,
+      onWriteEntry: (entry) => {
+        const forced =
+          entry.type === "Directory"
+            ? permissions.dirMode
+            : entry.type === "File"
+              ? permissions.mode
+              : null;
+        if (forced !== null) {
+          entry.stat.mode = (entry.stat.mode & ~0o7777) | forced;
+        }
+        if (entry.type === "File" || entry.type === "Link") {
+          countEntry(entry);
+        }
+      },
+    };
+
+    return {
+      pack: packArchive(compression, tarOptions, archiveEntries),
+      archivedPaths,
+      stop: () => archiveBar.stop(),
+      complete: () => emitProgress(archiveEvent(), true),
+    };
+  }
+
+  /**
+   * The streamed transport: pipe the archive straight into `tar -x` on the
+   * remote; nothing is written to disk on either side.
+   * @param {Object} context - destinationPath, options, spinner,
+   *   emitProgress, extractCommand, plus what packTransfer() reads (see
+   *   transferFiles)
+   * @returns {Promise<string[]>} Archived paths, relative to destinationPath
+   * @private
+   */
+  async transferStreamed(context) {
+    const { destinationPath, options, emitProgress } = context;
+    const archive = await this.packTransfer(context);
+    context.spinner.text = chalk.blue("Streaming archive to remote server...");
+    if (this.verbose) {
+      this.log("Step 2: Streaming archive into remote tar", "blue");
+      this.log(`Destination path: ${destinationPath}`, "blue");
+    }
+    const uploadStartTime = Date.now();
+    let sent = 0;
+    const uploadEvent = () => {
+      const elapsed = (Date.now() - uploadStartTime) / 1000;
+      // The compressed size is unknown until the stream ends
+      return {
+        phase: "upload",
+        bytes: sent,
+        totalBytes: null,
+        percent: null,
+        speed: elapsed > 0 ? Math.round(sent / elapsed) : 0,
+        eta: null,
+      };
+    };
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        sent += chunk.length;
+        emitProgress(uploadEvent());
+        callback(null, chunk);
+      },
+    });
+    archive.pack.on("error", (packErr) => counter.destroy(packErr));
+    // Stop packing when the upload side gives up
+    counter.on("close", () => archive.pack.destroy());
+    archive.pack.pipe(counter);
+    let streamResult;
+    try {
+      streamResult = await this.streamToRemote(
+        `mkdir -p ${this.escapeShellArg(destinationPath)} && cd ${this.escapeShellArg(destinationPath)} && ${context.extractCommand("-")}`,
+        counter,
+        options
+      );
+    } finally {
+      archive.stop();
+    }
+    archive.complete();
+    emitProgress(uploadEvent(), true);
+
+    if (streamResult.error) {
+      throw streamResult.error;
+    }
+    if (streamResult.code !== 0) {
+      const error = new Error(
+        `Remote extraction failed${streamResult.code === null ? "" : ` (exit code ${streamResult.code})`}: ${streamResult.stderr || streamResult.stdout || streamResult.signal}`
+      );
+      this.logError("Archive extraction failed", error);
       throw error;
     }
 
-    // Generate unique archive filename
-    const archiveName = `daffodil_${Date.now()}.tar.gz`;
+    this.log(`Streamed ${formatBytes(sent)} into ${destinationPath}`, "blue");
+    this.logTimeConsumption("Streamed transfer", uploadStartTime);
+    return archive.archivedPaths;
+  }
+
+  /**
+   * The "archive" transport: write the archive to process.cwd(), upload it
+   * (checking its SHA-256 unless options.verify is false) and extract it on
+   * the remote. Elevated transfers stage it in a private mktemp directory.
+   * Both copies of the archive are removed, also on failure.
+   * @param {Object} context - destinationPath, options, compression,
+   *   elevated, spinner, emitProgress, extractCommand, plus what
+   *   packTransfer() reads (see transferFiles)
+   * @returns {Promise<string[]>} Archived paths, relative to destinationPath
+   * @private
+   */
+  async transferArchive(context) {
+    const { destinationPath, options, spinner, emitProgress } = context;
+    // Generate unique archive filename; the random suffix keeps concurrent
+    // transfers (parallel hosts) from hashing or uploading each other's archive
+    const archiveName = `daffodil_${Date.now()}_${crypto.randomBytes(4).toString("hex")}${context.compression.extension}`;
     const archivePath = path.join(process.cwd(), archiveName);
-    const remoteArchivePath = path.posix
-      .join(destinationPath, archiveName)
-      .replace(/\\/g, "/");
+    // Elevated transfers stage the archive in a private temp directory the
+    // SSH user can write, created right before the upload
+    let remoteArchivePath = context.elevated
+      ? null
+      : path.posix.join(destinationPath, archiveName).replace(/\\/g, "/");
+    let stagingDir = null;
 
     try {
-      // Step 1: Create archive locally (cross-platform using tar npm package)
       const archiveStartTime = Date.now();
-      spinner.text = chalk.blue("Creating archive...");
-
-      // Prepare archive configuration
-      // For directories: archive contents directly (not the directory itself)
-      // For files: archive the file itself
-      const baseDir = isDirectory ? localPath : path.dirname(localPath);
-      const baseName = path.basename(localPath);
-
-      if (this.verbose) {
-        this.log("Step 1: Creating archive locally", "blue");
-        this.log(`Base directory: ${baseDir}`, "blue");
-        if (this.excludeList.length > 0) {
-          this.log(`Exclude patterns: ${this.excludeList.join(", ")}`, "blue");
-        }
-      }
-
-      // Build filter function for exclude patterns
-      const filterFn =
-        this.excludeList.length > 0
-          ? (filePath) => {
-              // tar filter receives path relative to cwd
-              // Normalize path separators for cross-platform compatibility
-              const normalizedPath = filePath.replace(/\\/g, "/");
-              const fileName = path.basename(filePath);
-
-              // Check if any exclude pattern matches
-              return !this.excludeList.some((pattern) => {
-                const normalizedPattern = pattern.replace(/\\/g, "/");
-
-                // Check filename match
-                if (fileName === pattern || fileName === normalizedPattern) {
-                  return true;
-                }
-
-                // Check path match
-                if (
-                  normalizedPath.includes(normalizedPattern) ||
-                  normalizedPath.endsWith(normalizedPattern)
-                ) {
-                  return true;
-                }
-
-                // Support glob-like patterns
-                if (normalizedPattern.includes("*")) {
-                  const regex = new RegExp(
-                    "^" +
-                      normalizedPattern
-                        .replace(/\*/g, ".*")
-                        .replace(/\//g, "[\\\\/]") +
-                      "$"
-                  );
-                  return regex.test(normalizedPath);
-                }
-
-                return false;
-              });
-            }
-          : undefined;
-
-      // Determine what to archive
-      // For directories: read directory contents and archive them directly
-      // For files: archive the file itself
-      let archiveEntries;
-      if (isDirectory) {
-        // Read directory contents to archive them directly (not the directory itself)
-        const entries = await fs.readdir(localPath);
-        archiveEntries = entries;
-      } else {
-        archiveEntries = [baseName];
-      }
-
-      if (this.verbose) {
-        this.log(`Archive entries: ${archiveEntries.length}`, "blue");
-      }
-
-      // Create tar.gz archive using cross-platform tar package
+      const archive = await this.packTransfer(context);
       try {
-        await tar.create(
-          {
-            gzip: true,
-            file: archivePath,
-            cwd: baseDir,
-            filter: filterFn,
-          },
-          archiveEntries
-        );
-      } catch (tarErr) {
-        // If exclude filter fails, try without it
-        if (filterFn) {
-          console.log(
-            chalk.yellow(
-              "Retrying archive creation without exclude patterns..."
-            )
-          );
-          await tar.create(
-            {
-              gzip: true,
-              file: archivePath,
-              cwd: baseDir,
-            },
-            archiveEntries
-          );
-        } else {
-          throw tarErr;
-        }
+        await pipeline(archive.pack, fs.createWriteStream(archivePath));
+      } finally {
+        // Never retry without the filter: that would ship excluded files
+        // (and the manifest) instead of failing
+        archive.stop();
       }
+      archive.complete();
 
       if (!(await fs.pathExists(archivePath))) {
         throw new Error("Archive file was not created");
@@ -665,14 +3846,32 @@ export class Daffodil {
       if (this.verbose) {
         this.log("Step 2: Transferring archive to remote server", "blue");
         this.log(`Local archive: ${archivePath}`, "blue");
-        this.log(`Remote archive: ${remoteArchivePath}`, "blue");
       }
 
-      const transferBar = new cliProgress.SingleBar(
-        {},
-        cliProgress.Presets.shades_classic
-      );
-      transferBar.start(100, 0);
+      if (context.elevated) {
+        // mktemp -d: a predictable name in /tmp could be created (or
+        // swapped for a symlink) by another local user first
+        const tmp = await this.ssh.execCommand(
+          "mktemp -d /tmp/daffodil.XXXXXX"
+        );
+        if (tmp.code !== 0 || !tmp.stdout?.trim()) {
+          throw new TransferError(
+            `Could not create a remote staging directory: ${tmp.stderr || "mktemp failed"}`
+          );
+        }
+        stagingDir = tmp.stdout.trim();
+        // mktemp creates the directory as 0700; another sudo user needs to
+        // reach the archive inside it
+        if (options.sudoUser) {
+          await this.ssh.execCommand(
+            `chmod 711 ${this.escapeShellArg(stagingDir)}`
+          );
+        }
+        remoteArchivePath = path.posix.join(stagingDir, archiveName);
+      }
+      if (this.verbose) {
+        this.log(`Remote archive: ${remoteArchivePath}`, "blue");
+      }
 
       // Remove old archive if exists on remote
       if (this.verbose) {
@@ -682,10 +3881,81 @@ export class Daffodil {
         `rm -f ${this.escapeShellArg(remoteArchivePath)} || true`
       );
 
-      // Transfer the archive file
-      await this.ssh.putFile(archivePath, remoteArchivePath);
-      transferBar.update(100);
-      transferBar.stop();
+      // Upload, then compare the remote SHA-256 with the local archive's;
+      // a mismatch (e.g. a truncated upload) re-uploads up to uploadRetries
+      const verify = options.verify ?? true;
+      const uploadRetries = options.uploadRetries ?? 2;
+      const localDigest = verify ? await hashFile(archivePath) : null;
+      for (let attempt = 0; ; attempt++) {
+        // Transfer the archive file; SFTP's step callback reports each chunk
+        const transferBar = new cliProgress.SingleBar(
+          {
+            format:
+              "Uploading [{bar}] {percentage}% | {sent}/{size} | {speed}/s | ETA: {eta_formatted}",
+          },
+          cliProgress.Presets.shades_classic
+        );
+        transferBar.start(archiveStats.size, 0, {
+          sent: formatBytes(0),
+          size: formatBytes(archiveStats.size),
+          speed: formatBytes(0),
+        });
+        const uploadStartTime = Date.now();
+        try {
+          await this.ssh.putFile(archivePath, remoteArchivePath, null, {
+            step: (sent, chunk, total) => {
+              const elapsed = (Date.now() - uploadStartTime) / 1000;
+              const speed = elapsed > 0 ? sent / elapsed : 0;
+              transferBar.update(sent, {
+                sent: formatBytes(sent),
+                speed: formatBytes(Math.round(speed)),
+              });
+              emitProgress(
+                {
+                  phase: "upload",
+                  bytes: sent,
+                  totalBytes: total,
+                  percent: total ? Math.round((sent / total) * 100) : 100,
+                  speed: Math.round(speed),
+                  eta: speed > 0 ? Math.round((total - sent) / speed) : null,
+                },
+                sent === total
+              );
+            },
+          });
+          transferBar.update(archiveStats.size, {
+            sent: formatBytes(archiveStats.size),
+          });
+        } finally {
+          transferBar.stop();
+        }
+
+        if (!verify) break;
+        const remoteDigest = await this.remoteSha256(remoteArchivePath);
+        if (remoteDigest === null) {
+          this.log(
+            "Could not verify the archive: sha256sum/shasum not available on the remote",
+            "yellow"
+          );
+          break;
+        }
+        if (remoteDigest === localDigest) {
+          this.log(`Archive verified (sha256 ${localDigest})`, "blue");
+          break;
+        }
+        if (attempt >= uploadRetries) {
+          const error = new TransferError(
+            `Archive checksum mismatch after ${attempt + 1} upload(s): local sha256 ${localDigest}, remote sha256 ${remoteDigest}`
+          );
+          error.localDigest = localDigest;
+          error.remoteDigest = remoteDigest;
+          throw error;
+        }
+        this.log(
+          `Archive checksum mismatch (local ${localDigest}, remote ${remoteDigest}), re-uploading (${attempt + 1}/${uploadRetries})`,
+          "yellow"
+        );
+      }
 
       this.log(`Archive transferred to: ${remoteArchivePath}`, "blue");
       this.logTimeConsumption("File transfer", fileTransferStartTime);
@@ -700,13 +3970,18 @@ export class Daffodil {
       }
 
       // Ensure destination directory exists
-      await this.ssh.execCommand(
-        `mkdir -p ${this.escapeShellArg(destinationPath)} || true`
+      await this.execRemote(
+        `mkdir -p ${this.escapeShellArg(destinationPath)} || true`,
+        options
       );
 
       // Extract archive (overwrite existing files)
-      const extractResult = await this.ssh.execCommand(
-        `cd ${this.escapeShellArg(destinationPath)} && tar -xzf ${this.escapeShellArg(remoteArchivePath)} && rm -f ${this.escapeShellArg(remoteArchivePath)}`
+      const extractResult = await this.execRemote(
+        `cd ${this.escapeShellArg(destinationPath)} && ${context.extractCommand(this.escapeShellArg(remoteArchivePath))}`,
+        options
+      );
+      await this.ssh.execCommand(
+        `rm -f ${this.escapeShellArg(remoteArchivePath)} || true`
       );
 
       if (extractResult.code !== 0) {
@@ -733,9 +4008,7 @@ export class Daffodil {
         await fs.remove(archivePath);
         this.log(`Cleaned up local archive: ${archiveName}`, "blue");
       }
-
-      spinner.succeed(chalk.green("Transfer complete (archive method)"));
-      this.logTimeConsumption("Total file transfer", transferStartTime);
+      return archive.archivedPaths;
     } catch (err) {
       // Clean up local archive on error
       if (await fs.pathExists(archivePath)) {
@@ -744,68 +4017,580 @@ export class Daffodil {
       }
 
       // Clean up remote archive on error
-      try {
-        if (this.verbose) {
-          this.log("Cleaning up remote archive after error", "yellow");
-        }
-        await this.ssh.execCommand(
-          `rm -f ${this.escapeShellArg(remoteArchivePath)} || true`
-        );
-      } catch (cleanupErr) {
-        // Ignore cleanup errors
-        if (this.verbose) {
-          this.logError("Failed to cleanup remote archive", cleanupErr);
+      if (remoteArchivePath) {
+        try {
+          if (this.verbose) {
+            this.log("Cleaning up remote archive after error", "yellow");
+          }
+          await this.ssh.execCommand(
+            `rm -f ${this.escapeShellArg(remoteArchivePath)} || true`
+          );
+        } catch (cleanupErr) {
+          // Ignore cleanup errors
+          if (this.verbose) {
+            this.logError("Failed to cleanup remote archive", cleanupErr);
+          }
         }
       }
+      throw err;
+    } finally {
+      if (stagingDir) {
+        await this.ssh
+          .execCommand(`rm -rf ${this.escapeShellArg(stagingDir)}`)
+          .catch(() => {});
+      }
+    }
+  }
 
-      // Handle specific error types
-      if (err instanceof PathNotFoundError) {
-        spinner.fail(chalk.red(`Transfer failed: ${err.message}`));
-        // Only log detailed error in verbose mode
-        if (this.verbose) {
-          this.logError("Transfer failed: PathNotFoundError", err);
+  /**
+   * Run a remote command (through sudo when requested) and pipe its stdout
+   * into a local writable stream without buffering it in memory. Resolves
+   * once the command has exited and the stream has finished.
+   * @param {string} cmd - Remote shell command
+   * @param {import("stream").Writable} destination - Receives stdout
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword
+   * @returns {Promise<{code: (number|null), signal: (string|null), stderr: string, error: (Error|null)}>}
+   *   `error` is the first error raised by the destination stream
+   * @private
+   */
+  pipeRemoteOutput(cmd, destination, options = {}) {
+    const { command, stdin } = this.buildSudoCommand(cmd, options);
+    return new Promise((resolve, reject) => {
+      this.ssh.connection.exec(command, (err, channel) => {
+        if (err) {
+          reject(err);
+          return;
         }
-        throw err;
+        const result = { code: null, signal: null, stderr: "", error: null };
+        let channelClosed = false;
+        let destinationDone = false;
+        const settle = () => {
+          if (channelClosed && destinationDone) resolve(result);
+        };
+
+        // A broken channel would otherwise be an unhandled 'error' event;
+        // the destination will never finish, so stop feeding it
+        channel.on("error", (channelErr) => {
+          channel.unpipe(destination);
+          channel.close();
+          reject(
+            new TransferError(`SSH channel failed: ${channelErr.message}`)
+          );
+        });
+        channel.stderr.on("data", (chunk) => {
+          result.stderr += chunk.toString();
+        });
+        channel.on("exit", (code, signal) => {
+          result.code = code ?? null;
+          result.signal = signal ?? null;
+        });
+        channel.on("close", () => {
+          channelClosed = true;
+          settle();
+        });
+        destination.on("error", (streamErr) => {
+          result.error = result.error || streamErr;
+          // Stop the remote side; nothing more can be written
+          channel.unpipe(destination);
+          channel.close();
+          destinationDone = true;
+          settle();
+        });
+        destination.on("finish", () => {
+          destinationDone = true;
+          settle();
+        });
+
+        channel.pipe(destination);
+        channel.end(stdin);
+      });
+    });
+  }
+
+  /**
+   * Run a remote command (through sudo when requested, which needs
+   * passwordless sudo) and pipe a local readable stream into its stdin.
+   * Resolves once the command has exited.
+   * @param {string} cmd - Remote shell command
+   * @param {import("stream").Readable} source - Sent as stdin
+   * @param {Object} [options] - sudo, sudoUser
+   * @returns {Promise<{code: (number|null), signal: (string|null), stdout: string, stderr: string, error: (Error|null)}>}
+   *   `error` is the first error raised by the source stream; an error on
+   *   the SSH channel rejects with TransferError and destroys the source
+   * @private
+   */
+  streamToRemote(cmd, source, options = {}) {
+    const { command } = this.buildSudoCommand(cmd, options, true);
+    return new Promise((resolve, reject) => {
+      const result = {
+        code: null,
+        signal: null,
+        stdout: "",
+        stderr: "",
+        error: null,
+      };
+      let channel = null;
+      // Listen before the channel opens: the source may fail first
+      source.on("error", (streamErr) => {
+        result.error = result.error || streamErr;
+        if (channel) {
+          // Stop the remote side so it does not wait for more input
+          source.unpipe(channel);
+          channel.close();
+        }
+      });
+
+      this.ssh.connection.exec(command, (err, clientChannel) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        channel = clientChannel;
+        // A broken channel would otherwise be an unhandled 'error' event;
+        // stop reading the source so the archive is not packed for nothing
+        channel.on("error", (channelErr) => {
+          source.unpipe(channel);
+          source.destroy();
+          reject(
+            new TransferError(`SSH channel failed: ${channelErr.message}`)
+          );
+        });
+        channel.on("data", (chunk) => {
+          result.stdout += chunk.toString();
+        });
+        channel.stderr.on("data", (chunk) => {
+          result.stderr += chunk.toString();
+        });
+        channel.on("exit", (code, signal) => {
+          result.code = code ?? null;
+          result.signal = signal ?? null;
+        });
+        channel.on("close", () => resolve(result));
+
+        if (result.error) {
+          channel.close();
+        } else {
+          source.pipe(channel);
+        }
+      });
+    });
+  }
+
+  /**
+   * Download a remote file or directory into the local directory localPath.
+   * The remote side runs `tar -czf -`, the archive is streamed over the SSH
+   * channel and unpacked with the `tar` package; paths matching the ignore
+   * file are skipped, as in transferFiles. During a multi-host deploy() the
+   * files of each host go into localPath/<host name>.
+   * @param {string} remotePath - Remote file or directory (relative to
+   *   remotePath unless absolute)
+   * @param {string} [localPath] - Local directory to extract into
+   * @param {Object} [options] - hostDir (subfolder name, or false for
+   *   none), include, exclude, sudo, sudoUser, sudoPassword
+   * @returns {Promise<{path: string}>} Local directory the files went into
+   */
+  async fetchFiles(remotePath, localPath = ".", options = {}) {
+    const fetchStartTime = Date.now();
+    const source = path.posix.isAbsolute(remotePath)
+      ? remotePath
+      : path.posix.join(this.remotePath, remotePath);
+    const hostDir =
+      options.hostDir ??
+      (this.inventoryTarget
+        ? this.inventoryTarget.name || this.inventoryTarget.host
+        : null);
+    const targetDir = hostDir
+      ? path.join(localPath, String(hostDir).replace(/[^A-Za-z0-9._-]/g, "_"))
+      : localPath;
+    const spinner = ora(`Fetching ${source} into ${targetDir}`).start();
+
+    const q = (value) => this.escapeShellArg(value);
+    // Exit code 3 marks a missing path, so it is not mistaken for a tar error
+    const command =
+      `if [ -d ${q(source)} ]; then tar -czf - -C ${q(source)} .; ` +
+      `elif [ -e ${q(source)} ]; then tar -czf - -C ${q(path.posix.dirname(source))} ${q(path.posix.basename(source))}; ` +
+      "else exit 3; fi";
+
+    await fs.ensureDir(targetDir);
+    const isIgnored = this.createIgnoreFilter(null, options);
+    const extract = tar.x({
+      cwd: targetDir,
+      strict: true,
+      filter: (entryPath, entry) =>
+        !isIgnored(entryPath, entry.type === "Directory"),
+    });
+
+    let result;
+    try {
+      result = await this.pipeRemoteOutput(command, extract, options);
+    } catch (err) {
+      spinner.fail(chalk.red(`Fetch failed: ${err.message}`));
+      throw new TransferError(`Fetch failed: ${err.message}`, err);
+    }
+
+    if (result.code === 3) {
+      spinner.stop();
+      const error = new PathNotFoundError(source, "remote file or directory");
+      this.logError("Fetch failed: Path does not exist", error);
+      throw error;
+    }
+    // GNU tar exits 1 when a file changed while being read (e.g. live logs);
+    // any other exit 1 (sudo, the shell) is a real failure
+    if (
+      result.code === 1 &&
+      !result.error &&
+      /file changed as we read it/.test(result.stderr)
+    ) {
+      this.log(`Fetch warning: ${result.stderr.trim()}`, "yellow");
+    } else if (result.code !== 0 || result.error) {
+      const reason =
+        result.code !== 0
+          ? result.stderr.trim() ||
+            `remote tar exited with ${result.signal || result.code}`
+          : result.error.message;
+      const error = new TransferError(`Fetch failed: ${reason}`, result.error);
+      spinner.fail(chalk.red(error.message));
+      throw error;
+    }
+
+    spinner.succeed(chalk.green(`Fetched ${source} into ${targetDir}`));
+    this.logTimeConsumption(`Fetch: ${source}`, fetchStartTime);
+    return { path: targetDir };
+  }
+
+  /**
+   * Deploy localPath as a new release under basePath:
+   *
+   *   basePath/releases/<release>   extracted files
+   *   basePath/shared/<path>        sharedDirs/sharedFiles, symlinked in
+   *   basePath/current              symlink to the live release
+   *
+   * `current` is switched with a rename, so it always points at a complete
+   * release; a failed transfer removes the partial release and leaves the
+   * live one untouched. Only the newest keepReleases releases are kept.
+   * Missing shared paths are seeded from the first release that has them.
+   * @param {string} localPath - Local file or directory
+   * @param {string} [basePath] - Remote base directory (default: remotePath)
+   * @param {Object} [options] - release (name, default: UTC timestamp),
+   *   keepReleases, sharedDirs, sharedFiles, incremental, deleteRemoved,
+   *   sudo, sudoUser, sudoPassword
+   * @returns {Promise<{release: string, path: string, removed: string[]}>}
+   */
+  async deployRelease(localPath, basePath = this.remotePath, options = {}) {
+    const startTime = Date.now();
+    const release = options.release || releaseTimestamp();
+    if (!/^[A-Za-z0-9._-]+$/.test(release) || /^\.+$/.test(release)) {
+      throw new Error(`Invalid release name: ${release}`);
+    }
+    const keepReleases = options.keepReleases ?? this.keepReleases;
+    const sharedDirs = (options.sharedDirs || this.sharedDirs).map(
+      normalizeSharedPath
+    );
+    const sharedFiles = (options.sharedFiles || this.sharedFiles).map(
+      normalizeSharedPath
+    );
+    const releasesDir = path.posix.join(basePath, "releases");
+    const releaseDir = path.posix.join(releasesDir, release);
+    const currentLink = path.posix.join(basePath, "current");
+    const q = (value) => this.escapeShellArg(value);
+    const run = async (cmd, message) => {
+      const result = await this.execRemote(cmd, options);
+      if (result.code !== 0) {
+        throw new TransferError(
+          `${message}: ${result.stderr || result.stdout}`
+        );
       }
+      return result;
+    };
 
-      // Handle ENOENT errors (file/directory not found)
-      if (err.code === "ENOENT" || err.message?.includes("ENOENT")) {
-        const pathMatch = err.message?.match(/lstat ['"](.+?)['"]/);
-        const missingPath = pathMatch ? pathMatch[1] : localPath;
-        const pathNotFoundError = new PathNotFoundError(
-          missingPath,
-          "file or directory"
+    this.log(`Creating release ${release} in ${releasesDir}`, "blue");
+    // mkdir without -p refuses to reuse an existing release
+    await run(
+      `mkdir -p ${q(releasesDir)} && mkdir ${q(releaseDir)}`,
+      `Failed to create release directory ${releaseDir}`
+    );
+
+    try {
+      if (options.incremental) {
+        // Start from the live release so only changed files are shipped
+        await run(
+          `if [ -d ${q(currentLink)} ]; then cp -a ${q(currentLink + "/.")} ${q(releaseDir)}; fi`,
+          "Failed to copy the current release"
         );
-        spinner.fail(
-          chalk.red(`Transfer failed: ${pathNotFoundError.message}`)
+      }
+      await this.transferFiles(localPath, releaseDir, {
+        ...options,
+        strategy: "direct",
+      });
+      const sharedRoot = path.posix.join(basePath, "shared");
+      const links = [
+        ...sharedDirs.map((item) => [item, true]),
+        ...sharedFiles.map((item) => [item, false]),
+      ];
+      for (const [item, isDir] of links) {
+        const shared = path.posix.join(sharedRoot, item);
+        const target = path.posix.join(releaseDir, item);
+        // Relative links keep working if basePath is relative or moved
+        const linkTarget = path.posix.relative(
+          path.posix.dirname(target),
+          shared
+        );
+        const createMissing = isDir
+          ? `mkdir -p ${q(shared)}`
+          : `echo "shared file ${shared} does not exist" >&2; exit 1`;
+        await run(
+          `if [ ! -e ${q(shared)} ]; then ` +
+            `if [ -e ${q(target)} ]; then mkdir -p ${q(path.posix.dirname(shared))} && cp -a ${q(target)} ${q(shared)}; ` +
+            `else ${createMissing}; fi; fi && ` +
+            `rm -rf ${q(target)} && mkdir -p ${q(path.posix.dirname(target))} && ln -s ${q(linkTarget)} ${q(target)}`,
+          `Failed to link shared path ${item}`
         );
-        // Only log detailed error in verbose mode
-        if (this.verbose) {
-          this.logError("Transfer failed: ENOENT error", pathNotFoundError);
-        }
-        throw pathNotFoundError;
       }
 
-      // Handle other transfer errors
-      const transferError = new TransferError(
-        `Transfer failed: ${err.message}`,
-        err
+      await this.switchRelease(release, basePath, options);
+    } catch (err) {
+      this.logError(`Release ${release} failed, removing it`, err);
+      await this.execRemote(`rm -rf ${q(releaseDir)}`, options).catch(() => {});
+      throw err;
+    }
+    this.log(`Current release is now ${release}`, "green");
+
+    let removed = [];
+    try {
+      removed = await this.pruneReleases(basePath, keepReleases, options);
+    } catch (err) {
+      // The new release is live; a failed cleanup must not fail the deploy
+      this.logError("Failed to remove old releases", err);
+    }
+    this.logTimeConsumption(`Release ${release}`, startTime);
+    return { release, path: releaseDir, removed };
+  }
+
+  /**
+   * Atomically point basePath/current at an existing release: a new symlink
+   * is built beside `current` and renamed over it (GNU mv -T; BSD/macOS
+   * mv -h), so `current` never points at nothing.
+   * @param {string} release - Release name under basePath/releases
+   * @param {string} [basePath] - Remote base directory (default: remotePath)
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword
+   */
+  async switchRelease(release, basePath = this.remotePath, options = {}) {
+    const q = (value) => this.escapeShellArg(value);
+    const currentLink = path.posix.join(basePath, "current");
+    const nextLink = path.posix.join(basePath, `.current-${release}`);
+    const result = await this.execRemote(
+      `ln -sfn ${q(path.posix.join("releases", release))} ${q(nextLink)} && ` +
+        `{ mv -Tf ${q(nextLink)} ${q(currentLink)} 2>/dev/null || mv -fh ${q(nextLink)} ${q(currentLink)}; }`,
+      options
+    );
+    if (result.code !== 0) {
+      throw new Error(
+        `Failed to switch the current release to ${release}: ${result.stderr || result.stdout}`
       );
-      spinner.fail(chalk.red(transferError.message));
-      // Only log detailed error in verbose mode
-      if (this.verbose) {
-        this.logError("Transfer failed: TransferError", transferError);
+    }
+  }
+
+  /**
+   * Point `current` back at an older release on the connected host. Without
+   * `to`, the release just before the live one is used and the available
+   * releases are listed.
+   * @param {string} [to] - Release name to restore
+   * @param {string} [basePath] - Remote base directory (default: remotePath)
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword
+   * @returns {Promise<string>} The release that is now live
+   */
+  async rollbackRelease(to, basePath = this.remotePath, options = {}) {
+    const { releases, current } = await this.listReleases(basePath, options);
+    if (releases.length === 0) {
+      throw new Error(
+        `No releases found in ${path.posix.join(basePath, "releases")}`
+      );
+    }
+    const available = releases
+      .map((release) =>
+        release === current ? `${release} (current)` : release
+      )
+      .join(", ");
+
+    let target = to;
+    if (!target) {
+      this.log(`Available releases: ${available}`, "blue");
+      const index = releases.indexOf(current);
+      target = index === -1 ? null : releases[index + 1];
+      if (!target) {
+        throw new Error(
+          `No release older than ${current || "current"} to roll back to. Available releases: ${available}`
+        );
       }
-      throw transferError;
+    } else if (!releases.includes(target)) {
+      throw new Error(
+        `Release ${target} not found. Available releases: ${available}`
+      );
+    }
+
+    if (target === current) {
+      this.log(`Release ${target} is already current`, "yellow");
+      return target;
+    }
+    await this.switchRelease(target, basePath, options);
+    this.log(`Rolled back from ${current || "none"} to ${target}`, "green");
+    return target;
+  }
+
+  /**
+   * Roll back every host (the inventory, or the single host) to the previous
+   * or a named release, then run afterRollback steps (e.g. `pm2 reload`).
+   * Runs as a deploy(), so failures raise DeploymentError.
+   * @param {Object} [options]
+   * @param {string} [options.to] - Release name to restore
+   * @param {Array} [options.afterRollback] - Steps run after the switch
+   * @param {string} [options.basePath] - Remote base directory (default: remotePath)
+   * @param {AbortSignal} [options.signal] - Cancels the rollback
+   */
+  async rollback({
+    to,
+    afterRollback = [],
+    basePath,
+    signal,
+    ...options
+  } = {}) {
+    const steps = [
+      {
+        step: to
+          ? `Roll back to release ${to}`
+          : "Roll back to the previous release",
+        command: () =>
+          this.rollbackRelease(to, basePath ?? this.remotePath, options),
+      },
+      ...afterRollback,
+    ];
+    await this.deploy(steps, { signal });
+  }
+
+  /**
+   * List the releases under basePath/releases, newest first, and the one
+   * `current` points at. Releases are ordered by name, descending: the
+   * default UTC timestamp names sort by age, and copied or touched
+   * directories cannot reorder them the way modification times would.
+   * @param {string} [basePath] - Remote base directory (default: remotePath)
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword
+   * @returns {Promise<{releases: string[], current: (string|null)}>}
+   */
+  async listReleases(basePath = this.remotePath, options = {}) {
+    const releasesDir = path.posix.join(basePath, "releases");
+    const currentLink = path.posix.join(basePath, "current");
+    const listing = await this.execRemote(
+      `ls -1 ${this.escapeShellArg(releasesDir)}`,
+      options
+    );
+    const releases =
+      listing.code === 0
+        ? listing.stdout
+            .split("\n")
+            .filter((name) => name.trim())
+            .sort()
+            .reverse()
+        : [];
+    const link = await this.execRemote(
+      `readlink ${this.escapeShellArg(currentLink)}`,
+      options
+    );
+    const current =
+      link.code === 0 && link.stdout.trim()
+        ? path.posix.basename(link.stdout.trim())
+        : null;
+    return { releases, current };
+  }
+
+  /**
+   * Remove all but the newest `keep` releases. The live release is never
+   * removed.
+   * @param {string} [basePath] - Remote base directory (default: remotePath)
+   * @param {number} [keep] - Releases to keep (default: keepReleases)
+   * @param {Object} [options] - sudo, sudoUser, sudoPassword
+   * @returns {Promise<string[]>} Removed release names
+   */
+  async pruneReleases(
+    basePath = this.remotePath,
+    keep = this.keepReleases,
+    options = {}
+  ) {
+    const { releases, current } = await this.listReleases(basePath, options);
+    const stale = releases.slice(keep).filter((release) => release !== current);
+    if (stale.length === 0) return [];
+
+    const releasesDir = path.posix.join(basePath, "releases");
+    const targets = stale
+      .map((release) =>
+        this.escapeShellArg(path.posix.join(releasesDir, release))
+      )
+      .join(" ");
+    const result = await this.execRemote(`rm -rf ${targets}`, options);
+    if (result.code !== 0) {
+      throw new TransferError(
+        `Failed to remove old releases: ${result.stderr || result.stdout}`
+      );
+    }
+    this.log(`Removed old releases: ${stale.join(", ")}`, "blue");
+    return stale;
+  }
+
+  /**
+   * Run a single deploy step. The command receives `{ signal, step, index,
+   * deployer }`; the signal aborts when the step's `timeout` elapses or the
+   * deploy-wide signal aborts. The step then fails right away, even if the
+   * command ignores the signal.
+   * @param {Object} stepDef - `{ step, command, timeout? }`
+   * @param {number} index - Zero-based step index
+   * @param {AbortSignal} [signal] - Deploy-wide cancellation signal
+   * @private
+   */
+  async runStep({ step, command, timeout }, index, signal) {
+    const controller = new AbortController();
+    const ctx = { signal: controller.signal, step, index, deployer: this };
+    if (!timeout && !signal) {
+      return command(ctx);
+    }
+
+    const forwardAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) forwardAbort();
+    signal?.addEventListener("abort", forwardAbort, { once: true });
+    const timer = timeout
+      ? setTimeout(
+          () => controller.abort(new StepTimeoutError(step, timeout)),
+          timeout
+        )
+      : null;
+    const aborted = new Promise((resolve, reject) => {
+      if (controller.signal.aborted) reject(controller.signal.reason);
+      controller.signal.addEventListener(
+        "abort",
+        () => reject(controller.signal.reason),
+        { once: true }
+      );
+    });
+    const running = Promise.resolve().then(() => command(ctx));
+    // Whichever loses the race must not surface as an unhandled rejection
+    aborted.catch(() => {});
+    running.catch(() => {});
+
+    this.stepSignal = controller.signal;
+    try {
+      return await Promise.race([running, aborted]);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", forwardAbort);
+      this.stepSignal = null;
     }
   }
 
-  async _deploySingle(steps) {
+  async _deploySingle(steps, { signal } = {}) {
     const deployStartTime = Date.now();
     if (this.verbose) {
       this.log(`Starting deployment with ${steps.length} step(s)`, "blue");
     }
 
+    signal?.throwIfAborted();
     await this.connect();
 
     let failedStep = null;
@@ -813,7 +4598,7 @@ export class Daffodil {
 
     for (let i = 0; i < steps.length; i++) {
       const stepStartTime = Date.now();
-      const { step, command } = steps[i];
+      const { step } = steps[i];
       console.log(chalk.yellow(`Step ${i + 1}: ${step}`));
 
       if (this.verbose) {
@@ -821,7 +4606,7 @@ export class Daffodil {
       }
 
       try {
-        await command();
+        await this.runStep(steps[i], i, signal);
         this.logTimeConsumption(`Step ${i + 1}: ${step}`, stepStartTime);
       } catch (err) {
         failedStep = step;
@@ -839,8 +4624,8 @@ export class Daffodil {
       }
     }
 
-    // Always dispose SSH connection
-    this.ssh.dispose();
+    // Always dispose SSH connection (and any jump hosts)
+    this.disconnect();
 
     // If a step failed, throw error to abort deployment
     if (failedStep) {
@@ -878,10 +4663,19 @@ export class Daffodil {
   /**
    * High-level deploy entrypoint. In single-host mode it runs once, in
    * multi-host mode (inventory) it runs sequentially for each host.
+   * @param {Array<{step: string, command: function(Object): Promise, timeout?: number}>} steps
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the running step and the rest of the deploy
    */
-  async deploy(steps) {
+  async deploy(steps, options = {}) {
     // Multi-host deployment via inventory
     if (this.inventoryTargets && this.inventoryTargets.length > 0) {
+      const base = {
+        portOption: this.portOption,
+        fingerprint: this.fingerprint,
+        jumpHost: this.jumpHost,
+        inventoryTarget: null,
+      };
       for (const target of this.inventoryTargets) {
         const hostLabel = target.name || target.host;
         console.log("");
@@ -896,10 +4690,18 @@ export class Daffodil {
         // continue to work as expected.
         this.remoteUser = target.user;
         this.remoteHost = target.host;
-        this.port = target.port || this.port || 22;
+        this.portOption = target.port || base.portOption;
+        this.port = this.portOption || 22;
+        this.fingerprint = target.fingerprint || base.fingerprint;
+        this.jumpHost = target.jump || base.jumpHost;
+        this.inventoryTarget = target;
         this.ssh = new NodeSSH();
 
-        await this._deploySingle(steps);
+        try {
+          await this._deploySingle(steps, options);
+        } finally {
+          Object.assign(this, base);
+        }
 
         console.log(
           chalk.cyan(
@@ -911,7 +4713,7 @@ export class Daffodil {
     }
 
     // Single-host behavior (existing behavior)
-    await this._deploySingle(steps);
+    await this._deploySingle(steps, options);
   }
 
   /**
@@ -1,13 +1,20 @@
 // CommonJS Test Suite for JSDaffodil using a simple custom runner
+const { spawn, spawnSync } = require("child_process");
+const crypto = require("crypto");
 const fs = require("fs-extra");
+const os = require("os");
 const path = require("path");
+const { PassThrough, Writable } = require("stream");
+const tar = require("tar");
+const { pathToFileURL } = require("url");
 
 let testsPassed = 0;
 let testsFailed = 0;
 const failures = [];
+const pending = [];
 
 function test(name, fn) {
-  Promise.resolve()
+  const run = Promise.resolve()
     .then(fn)
     .then(() => {
       testsPassed++;
@@ -19,6 +26,7 @@ function test(name, fn) {
       console.error(`✗ ${name}`);
       console.error(`  Error: ${error.message}`);
     });
+  pending.push(run);
 }
 
 function assert(condition, message) {
@@ -55,6 +63,13 @@ console.log("=".repeat(50));
     PathNotFoundError,
     TransferError,
     DeploymentError,
+    HostKeyMismatchError,
+    CommandFailedError,
+    StepTimeoutError,
+    getHostKeyFingerprint,
+    parseInventoryFile,
+    renderTemplate,
+    resolveSshConfigHost,
   } = await import("../../src/index.js");
 
   // Test configuration
@@ -429,6 +444,1943 @@ test("deploy - throws DeploymentError when step fails (non-verbose)", async () =
   }
 });
 
+// Test: SSH authentication options
+test("getAuthMethods - orders agent, privateKeyPath, then password", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsdaffodil-auth-"));
+  const keyPath = path.join(dir, "deploy_key");
+  fs.writeFileSync(keyPath, "dummy");
+
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    agent: "/tmp/agent.sock",
+    privateKeyPath: keyPath,
+    password: "secret",
+  });
+  const methods = deployer.getAuthMethods();
+  fs.removeSync(dir);
+
+  assertEqual(methods.length, 3, "Should build three methods");
+  assertEqual(methods[0].label, "ssh-agent");
+  assertEqual(methods[0].options.agent, "/tmp/agent.sock");
+  assertEqual(methods[1].type, "key");
+  assertEqual(methods[1].keyPath, keyPath);
+  assertEqual(methods[2].label, "password");
+});
+
+test("getAuthMethods - follows custom keyFiles order and skips missing keys", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsdaffodil-auth-"));
+  const first = path.join(dir, "id_ed25519");
+  const second = path.join(dir, "id_rsa");
+  fs.writeFileSync(first, "dummy");
+  fs.writeFileSync(second, "dummy");
+
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    keyFiles: [first, path.join(dir, "missing"), second],
+  });
+  const methods = deployer.getAuthMethods();
+  fs.removeSync(dir);
+
+  assertEqual(methods.length, 2, "Missing key files should be skipped");
+  assertEqual(methods[0].keyPath, first);
+  assertEqual(methods[1].keyPath, second);
+});
+
+test("getAuthMethods - reports a missing privateKeyPath", () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    privateKeyPath: "/nonexistent/deploy_key",
+  });
+  const methods = deployer.getAuthMethods();
+  assertEqual(methods.length, 1);
+  assert(
+    methods[0].error.includes("Private key not found"),
+    "Should flag the missing key"
+  );
+});
+
+// Test: ~/.ssh/config resolution
+function writeSshConfigFixture() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsdaffodil-sshcfg-"));
+  fs.mkdirSync(path.join(dir, "conf.d"));
+  fs.writeFileSync(
+    path.join(dir, "conf.d", "prod.conf"),
+    "Host prod-*\n  User deploy\n  IdentityFile /keys/prod_ed25519\n"
+  );
+  fs.writeFileSync(
+    path.join(dir, "config"),
+    [
+      `Include ${path.join(dir, "conf.d", "*.conf")}`,
+      "Host prod-web",
+      "  HostName 10.0.0.5",
+      "  Port 2222",
+      "Host * !prod-db",
+      "  User fallback",
+      "  Port 22",
+      "  IdentityFile /keys/id_%h",
+      "",
+    ].join("\n")
+  );
+  return dir;
+}
+
+test("resolveSshConfigHost - resolves HostName, User, Port and IdentityFile", () => {
+  const dir = writeSshConfigFixture();
+  const resolved = resolveSshConfigHost("prod-web", path.join(dir, "config"));
+  fs.removeSync(dir);
+
+  assertEqual(resolved.hostName, "10.0.0.5");
+  assertEqual(resolved.user, "deploy", "Included file is read first");
+  assertEqual(resolved.port, 2222, "First obtained value wins");
+  assertEqual(resolved.identityFiles.length, 2);
+  assertEqual(resolved.identityFiles[0], "/keys/prod_ed25519");
+  assertEqual(resolved.identityFiles[1], "/keys/id_10.0.0.5");
+});
+
+test("resolveSshConfigHost - honors negated patterns and missing files", () => {
+  const dir = writeSshConfigFixture();
+  const resolved = resolveSshConfigHost("prod-db", path.join(dir, "config"));
+  fs.removeSync(dir);
+
+  assertEqual(resolved.user, "deploy");
+  assertEqual(resolved.port, undefined, "Negated Host block must not apply");
+  assertEqual(
+    Object.keys(resolveSshConfigHost("web", "/nonexistent/config")).length,
+    0
+  );
+});
+
+test("parseInventoryFile - fills user and port from ssh_config aliases", () => {
+  const dir = writeSshConfigFixture();
+  const inventoryPath = path.join(dir, "inventory.ini");
+  fs.writeFileSync(
+    inventoryPath,
+    "[web]\nprod-web\nother host=10.0.0.9 user=ubuntu port=2200\n"
+  );
+  const hosts = parseInventoryFile(inventoryPath, "web", {
+    sshConfig: path.join(dir, "config"),
+  });
+  fs.removeSync(dir);
+
+  assertEqual(hosts.length, 2);
+  assertEqual(hosts[0].host, "prod-web");
+  assertEqual(hosts[0].user, "deploy");
+  assertEqual(hosts[0].port, 2222);
+  assertEqual(hosts[1].user, "ubuntu", "Explicit values win");
+  assertEqual(hosts[1].port, 2200);
+});
+
+test("resolveSshTarget - explicit options win over ssh_config", () => {
+  const dir = writeSshConfigFixture();
+  const sshConfig = path.join(dir, "config");
+  const alias = new Daffodil({ remoteHost: "prod-web", sshConfig });
+  const explicit = new Daffodil({
+    remoteUser: "root",
+    remoteHost: "prod-web",
+    port: 2022,
+    sshConfig,
+  });
+  const aliasTarget = alias.resolveSshTarget();
+  const explicitTarget = explicit.resolveSshTarget();
+  fs.removeSync(dir);
+
+  assertEqual(alias.remoteUser, "deploy");
+  assertEqual(aliasTarget.host, "10.0.0.5");
+  assertEqual(aliasTarget.port, 2222);
+  assertEqual(explicitTarget.username, "root");
+  assertEqual(explicitTarget.port, 2022);
+});
+
+// Test: host key verification
+function fakeHostKey(fill, keyType = "ssh-ed25519") {
+  const type = Buffer.from(keyType);
+  const data = Buffer.alloc(32, fill);
+  const typeLen = Buffer.alloc(4);
+  typeLen.writeUInt32BE(type.length);
+  const dataLen = Buffer.alloc(4);
+  dataLen.writeUInt32BE(data.length);
+  return Buffer.concat([typeLen, type, dataLen, data]);
+}
+
+test("HostKeyMismatchError - names the host and both fingerprints", () => {
+  const error = new HostKeyMismatchError("web1", "SHA256:aaa", "SHA256:bbb");
+  assertEqual(error.name, "HostKeyMismatchError");
+  assertEqual(error.host, "web1");
+  assert(error.message.includes("SHA256:aaa"), "Should include expected");
+  assert(error.message.includes("SHA256:bbb"), "Should include actual");
+});
+
+test("verifyHostKey - accepts known keys and rejects changed ones", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsdaffodil-hostkey-"));
+  const knownHostsFile = path.join(dir, "known_hosts");
+  const known = fakeHostKey(1);
+  fs.writeFileSync(
+    knownHostsFile,
+    `web.example.com ssh-ed25519 ${known.toString("base64")}\n`
+  );
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: "web.example.com",
+    hostKeyPolicy: "strict",
+    knownHostsFile,
+  });
+
+  const accepted = deployer.verifyHostKey("web.example.com", 22, known);
+  const changed = deployer.verifyHostKey("web.example.com", 22, fakeHostKey(2));
+  const unknown = deployer.verifyHostKey("db.example.com", 22, known);
+  fs.removeSync(dir);
+
+  assertEqual(accepted, null, "Known key should be accepted");
+  assert(changed instanceof HostKeyMismatchError, "Changed key must fail");
+  assertEqual(changed.expectedFingerprint, getHostKeyFingerprint(known));
+  assertEqual(changed.actualFingerprint, getHostKeyFingerprint(fakeHostKey(2)));
+  assert(unknown instanceof HostKeyMismatchError, "Strict rejects unknown");
+  assertEqual(unknown.expectedFingerprint, null);
+});
+
+test("verifyHostKey - accept-new records unknown hosts with their port", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsdaffodil-hostkey-"));
+  const knownHostsFile = path.join(dir, "known_hosts");
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: "web.example.com",
+    knownHostsFile,
+  });
+
+  const originalLog = console.log;
+  console.log = () => {};
+  const first = deployer.verifyHostKey("web.example.com", 2222, fakeHostKey(3));
+  console.log = originalLog;
+  const content = fs.readFileSync(knownHostsFile, "utf8");
+  const second = deployer.verifyHostKey("web.example.com", 2222, fakeHostKey(4));
+  fs.removeSync(dir);
+
+  assertEqual(first, null, "Unknown host should be accepted");
+  assert(
+    content.startsWith("[web.example.com]:2222 ssh-ed25519 "),
+    "Should record the host with its port"
+  );
+  assert(second instanceof HostKeyMismatchError, "Recorded key is enforced");
+});
+
+test("verifyHostKey - only compares known keys of the negotiated type", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsdaffodil-hostkey-"));
+  const knownHostsFile = path.join(dir, "known_hosts");
+  const rsaKey = fakeHostKey(7, "ssh-rsa");
+  fs.writeFileSync(knownHostsFile, `web.example.com ssh-rsa ${rsaKey.toString("base64")}\n`);
+  const ed25519Key = fakeHostKey(8);
+  const strict = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: "web.example.com",
+    hostKeyPolicy: "strict",
+    knownHostsFile,
+  });
+  const acceptNew = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: "web.example.com",
+    knownHostsFile,
+  });
+  acceptNew.log = () => {};
+
+  const strictResult = strict.verifyHostKey("web.example.com", 22, ed25519Key);
+  const accepted = acceptNew.verifyHostKey("web.example.com", 22, ed25519Key);
+  const content = fs.readFileSync(knownHostsFile, "utf8");
+  fs.removeSync(dir);
+
+  assert(strictResult instanceof HostKeyMismatchError, "Strict rejects the unknown key type");
+  assertEqual(strictResult.expectedFingerprint, null, "Not reported as a changed key");
+  assertEqual(accepted, null, "accept-new trusts the new key type");
+  assert(content.includes(`web.example.com ssh-ed25519 ${ed25519Key.toString("base64")}`), "The new key type is recorded");
+  assert(content.includes(rsaKey.toString("base64")), "The ssh-rsa key is kept");
+});
+
+test("verifyHostKey - pinned fingerprint overrides known_hosts", () => {
+  const key = fakeHostKey(5);
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    hostKeyPolicy: "strict",
+    knownHostsFile: "/nonexistent/known_hosts",
+    fingerprint: getHostKeyFingerprint(key).replace("SHA256:", ""),
+  });
+  assertEqual(deployer.verifyHostKey("pinned", 22, key), null);
+  const error = deployer.verifyHostKey("pinned", 22, fakeHostKey(6));
+  assert(error instanceof HostKeyMismatchError, "Pin mismatch must fail");
+  assertEqual(error.expectedFingerprint, getHostKeyFingerprint(key));
+});
+
+// Test: jump hosts
+test("getJumpHosts - parses ProxyJump-style chains", () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: "app.internal",
+    jumpHost: "ops@bastion.example.com:2222, 10.0.0.2",
+    sshConfig: false,
+  });
+  const hops = deployer.getJumpHosts();
+  assertEqual(hops.length, 2);
+  assertEqual(hops[0].host, "bastion.example.com");
+  assertEqual(hops[0].username, "ops");
+  assertEqual(hops[0].port, 2222);
+  assertEqual(hops[1].host, "10.0.0.2");
+  assertEqual(hops[1].username, TEST_CONFIG.remoteUser, "Falls back to remoteUser");
+  assertEqual(hops[1].port, 22);
+});
+
+test("getJumpHosts - accepts arrays of strings and objects", () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: "app.internal",
+    jumpHost: ["bastion", { host: "10.0.0.3", user: "jump", port: 2200 }],
+    sshConfig: false,
+  });
+  const hops = deployer.getJumpHosts();
+  assertEqual(hops.length, 2);
+  assertEqual(hops[0].host, "bastion");
+  assertEqual(hops[1].username, "jump");
+  assertEqual(hops[1].port, 2200);
+  assertEqual(
+    new Daffodil({
+      remoteUser: TEST_CONFIG.remoteUser,
+      remoteHost: TEST_CONFIG.remoteHost,
+    }).getJumpHosts().length,
+    0,
+    "No jumpHost means a direct connection"
+  );
+});
+
+test("authenticate - applies the pinned fingerprint to the target, not jump hosts", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsdaffodil-hostkey-"));
+  const knownHostsFile = path.join(dir, "known_hosts");
+  const bastionKey = fakeHostKey(7);
+  const targetKey = fakeHostKey(8);
+  fs.writeFileSync(knownHostsFile, `bastion ssh-ed25519 ${bastionKey.toString("base64")}\n`);
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: "app.internal",
+    jumpHost: "bastion",
+    password: "secret",
+    sshConfig: false,
+    hostKeyPolicy: "strict",
+    knownHostsFile,
+    fingerprint: getHostKeyFingerprint(targetKey),
+  });
+  deployer.log = () => {};
+  deployer.logError = () => {};
+  // Presents serverKey to the host key check like ssh2's handshake
+  const fakeSsh = (serverKey) => ({
+    connect: async ({ hostVerifier }) => {
+      if (!hostVerifier(serverKey)) throw new Error("Handshake failed");
+    },
+  });
+  const spinner = { start() {}, stop() {}, fail() {} };
+  const [hop] = deployer.getJumpHosts();
+  const target = deployer.resolveSshTarget();
+  let bastionAsTarget = null;
+  try {
+    await deployer.authenticate(fakeSsh(bastionKey), hop, spinner, null, false);
+    await deployer.authenticate(fakeSsh(targetKey), target, spinner);
+    await deployer.authenticate(fakeSsh(bastionKey), target, spinner);
+  } catch (err) {
+    bastionAsTarget = err;
+  } finally {
+    fs.removeSync(dir);
+  }
+  assert(bastionAsTarget instanceof HostKeyMismatchError, "The pin still guards the target");
+  assertEqual(bastionAsTarget.expectedFingerprint, getHostKeyFingerprint(targetKey));
+});
+
+// Test: connection retries
+test("Constructor - validates timeout and retry options", () => {
+  let error = null;
+  try {
+    new Daffodil({
+      remoteUser: TEST_CONFIG.remoteUser,
+      remoteHost: TEST_CONFIG.remoteHost,
+      retries: -1,
+    });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message.includes("retries"), "Should reject retries");
+});
+
+test("connect - retries transient failures with backoff and logs each retry", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    password: "secret",
+    sshConfig: false,
+    hostKeyPolicy: "off",
+    retries: 2,
+    retryDelay: 1,
+  });
+  let attempts = 0;
+  deployer.ssh = {
+    connect: async () => {
+      attempts++;
+      if (attempts < 3) {
+        const err = new Error("connect ECONNREFUSED");
+        err.code = "ECONNREFUSED";
+        throw err;
+      }
+    },
+    execCommand: async () => ({ code: 0 }),
+    dispose: () => {},
+  };
+
+  const logs = [];
+  deployer.log = (message) => logs.push(message);
+  await deployer.connect();
+
+  assertEqual(attempts, 3, "Should succeed on the third attempt");
+  assertEqual(logs.filter((l) => l.includes("Retry")).length, 2);
+  assert(logs.some((l) => l.includes("in 2ms")), "Delay should double");
+});
+
+test("buildSudoCommand - sends the password over stdin only", () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  const plain = deployer.buildSudoCommand("systemctl restart app");
+  assertEqual(plain.command, "systemctl restart app", "No sudo without options");
+  assertEqual(plain.stdin, undefined);
+
+  const wrapped = deployer.buildSudoCommand("systemctl restart app", {
+    sudo: true,
+    sudoUser: "www-data",
+    sudoPassword: "s3cret",
+  });
+  assert(wrapped.command.startsWith("sudo -S -p '' -u 'www-data' -- sh -c "));
+  assert(wrapped.command.includes("systemctl restart app"));
+  assert(!wrapped.command.includes("s3cret"), "Password must not be in the command");
+  assertEqual(wrapped.stdin, "s3cret\n");
+});
+
+test("buildSudoCommand - uses non-interactive sudo without a password", () => {
+  const previous = process.env.DAFFODIL_SUDO_PASSWORD;
+  delete process.env.DAFFODIL_SUDO_PASSWORD;
+  try {
+    const deployer = new Daffodil({
+      remoteUser: TEST_CONFIG.remoteUser,
+      remoteHost: TEST_CONFIG.remoteHost,
+      sshConfig: false,
+    });
+    const { command, stdin } = deployer.buildSudoCommand("id", { sudo: true });
+    assert(command.startsWith("sudo -n -- sh -c "), "Should fail fast instead of prompting");
+    assertEqual(stdin, undefined);
+
+    process.env.DAFFODIL_SUDO_PASSWORD = "from-env";
+    assertEqual(deployer.buildSudoCommand("id", { sudoUser: "deploy" }).stdin, "from-env\n");
+  } finally {
+    if (previous === undefined) delete process.env.DAFFODIL_SUDO_PASSWORD;
+    else process.env.DAFFODIL_SUDO_PASSWORD = previous;
+  }
+});
+
+test("CommandFailedError - carries the command result", () => {
+  const error = new CommandFailedError("pm2 restart app", {
+    stdout: "",
+    stderr: "[PM2] Process app not found\n",
+    code: 1,
+    signal: null,
+    durationMs: 42,
+  });
+  assertEqual(error.name, "CommandFailedError");
+  assertEqual(error.command, "pm2 restart app");
+  assertEqual(error.code, 1);
+  assertEqual(error.durationMs, 42);
+  assert(error.message.includes("exit code 1"));
+  assert(error.message.includes("Process app not found"));
+});
+
+test("sshCommand - throws CommandFailedError on non-zero exit", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  deployer.ssh = {
+    execCommand: async () => ({ stdout: "", stderr: "", code: 3, signal: null }),
+  };
+  try {
+    await deployer.sshCommand("false");
+    throw new Error("Should have thrown CommandFailedError");
+  } catch (error) {
+    if (!(error instanceof CommandFailedError)) {
+      throw new Error(`Expected CommandFailedError, got ${error.constructor.name}`);
+    }
+    assertEqual(error.code, 3);
+    assertEqual(typeof error.durationMs, "number");
+  }
+});
+
+test("sshCommand - allowFailure and okExitCodes return the result", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  deployer.ssh = {
+    execCommand: async () => ({ stdout: "", stderr: "", code: 1, signal: null }),
+  };
+  const allowed = await deployer.sshCommand("grep -q x file", { allowFailure: true });
+  assertEqual(allowed.code, 1);
+  const ok = await deployer.sshCommand("grep -q x file", { okExitCodes: [0, 1] });
+  assertEqual(ok.code, 1);
+  assertEqual(ok.signal, null);
+  assertEqual(typeof ok.durationMs, "number");
+});
+
+test("runCommand - streams lines to onStdout and returns the output", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  const lines = [];
+  const result = await deployer.runCommand("echo one && echo two", {
+    onStdout: (line) => lines.push(line.trim()),
+  });
+  assertEqual(lines.join(","), "one,two");
+  assert(result.stdout.includes("one") && result.stdout.includes("two"));
+});
+
+test("sshCommand - assembles streamed chunks into lines", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  deployer.ssh = {
+    execCommand: async (command, options) => {
+      options.onStdout(Buffer.from("migrating 1\nmigra"));
+      options.onStdout(Buffer.from("ting 2\ndone"));
+      options.onStderr(Buffer.from("warning\n"));
+      return {
+        stdout: "migrating 1\nmigrating 2\ndone",
+        stderr: "warning",
+        code: 0,
+        signal: null,
+      };
+    },
+  };
+  const stdoutLines = [];
+  const stderrLines = [];
+  const result = await deployer.sshCommand("npm run migrate", {
+    onStdout: (line) => stdoutLines.push(line),
+    onStderr: (line) => stderrLines.push(line),
+  });
+  assertEqual(stdoutLines.join("|"), "migrating 1|migrating 2|done");
+  assertEqual(stderrLines.join("|"), "warning");
+  assertEqual(result.code, 0);
+});
+
+test("runCommand - honours cwd and env and returns a structured result", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "daffodil-local-"));
+  try {
+    const lines = [];
+    const result = await deployer.local(
+      `node -e "console.log(process.cwd() + '|' + process.env.DAFFODIL_TEST_VAR)"`,
+      {
+        cwd,
+        env: { DAFFODIL_TEST_VAR: "from-env" },
+        onStdout: (line) => lines.push(line),
+      }
+    );
+    assertEqual(result.code, 0);
+    assertEqual(lines[0], `${fs.realpathSync(cwd)}|from-env`);
+    assertEqual(typeof result.durationMs, "number");
+  } finally {
+    fs.removeSync(cwd);
+  }
+});
+
+test("runCommand - throws CommandFailedError unless allowFailure is set", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  const quiet = { onStdout: () => {}, onStderr: () => {} };
+  try {
+    await deployer.runCommand("exit 2", quiet);
+    throw new Error("Should have thrown CommandFailedError");
+  } catch (error) {
+    if (!(error instanceof CommandFailedError)) {
+      throw new Error(`Expected CommandFailedError, got ${error.constructor.name}`);
+    }
+    assertEqual(error.code, 2);
+  }
+  const allowed = await deployer.runCommand("exit 2", { ...quiet, allowFailure: true });
+  assertEqual(allowed.code, 2);
+});
+
+test("runCommand - Ctrl+C stops the whole process group of a detached command", async () => {
+  if (process.platform === "win32") return;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "daffodil-sigint-"));
+  const script = path.join(dir, "run.mjs");
+  const indexUrl = pathToFileURL(path.join(__dirname, "..", "..", "src", "index.js")).href;
+  // timeout makes the command detached; the shell's child prints its pid
+  fs.writeFileSync(
+    script,
+    `import { Daffodil } from ${JSON.stringify(indexUrl)};
+const deployer = new Daffodil({ remoteUser: "u", remoteHost: "h", sshConfig: false });
+await deployer.runCommand("sleep 30 & echo $!; wait", { timeout: 60000, onStdout: (line) => console.log(line) });
+`
+  );
+  const isRunning = (pid) => {
+    const state = spawnSync("ps", ["-o", "stat=", "-p", String(pid)], { encoding: "utf8" }).stdout.trim();
+    return state !== "" && !state.startsWith("Z");
+  };
+  const child = spawn(process.execPath, [script]);
+  let sleepPid = null;
+  try {
+    sleepPid = await new Promise((resolve, reject) => {
+      child.once("error", reject);
+      child.stdout.once("data", (data) => resolve(Number.parseInt(data.toString(), 10)));
+    });
+    const exited = new Promise((resolve) => child.once("close", (code, signal) => resolve(signal)));
+    child.kill("SIGINT");
+    assertEqual(await exited, "SIGINT", "The signal still ends the process");
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert(!isRunning(sleepPid), "Processes started by the command are stopped too");
+  } finally {
+    if (sleepPid && isRunning(sleepPid)) process.kill(sleepPid, "SIGKILL");
+    fs.removeSync(dir);
+  }
+});
+
+test("deploy - step timeout aborts the step with StepTimeoutError", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  deployer.connect = async () => {};
+  deployer.ssh = { dispose: () => {} };
+  let reason = null;
+  const steps = [
+    {
+      step: "Wait for lock",
+      timeout: 20,
+      // Never resolves on its own; only the timeout ends it
+      command: ({ signal }) =>
+        new Promise(() => {
+          signal.addEventListener("abort", () => {
+            reason = signal.reason;
+          });
+        }),
+    },
+  ];
+  try {
+    await deployer.deploy(steps);
+    throw new Error("Should have thrown DeploymentError");
+  } catch (error) {
+    if (!(error instanceof DeploymentError)) {
+      throw new Error(`Expected DeploymentError, got ${error.constructor.name}`);
+    }
+  }
+  assert(reason instanceof StepTimeoutError, "Step signal should carry StepTimeoutError");
+  assertEqual(reason.step, "Wait for lock");
+  assertEqual(reason.timeout, 20);
+  assertEqual(deployer.stepSignal, null, "Step signal is cleared after the step");
+});
+
+test("deploy - an aborted signal stops before connecting", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  let connected = false;
+  deployer.connect = async () => {
+    connected = true;
+  };
+  const controller = new AbortController();
+  controller.abort();
+  try {
+    await deployer.deploy([{ step: "Build", command: async () => {} }], {
+      signal: controller.signal,
+    });
+    throw new Error("Should have been aborted");
+  } catch (error) {
+    assertEqual(error.name, "AbortError");
+  }
+  assert(!connected, "Should not connect after the deploy was aborted");
+});
+
+test("buildRemoteCommand - exports escaped env and changes directory", () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  assertEqual(
+    deployer.buildRemoteCommand("npm ci", {
+      cwd: "/var/www/my app",
+      env: { NODE_ENV: "production", GREETING: "it's here" },
+    }),
+    "export NODE_ENV='production' && export GREETING='it'\\''s here' && cd '/var/www/my app' && npm ci"
+  );
+  assertEqual(deployer.buildRemoteCommand("uptime"), "uptime");
+  let threw = false;
+  try {
+    deployer.buildRemoteCommand("id", { env: { "BAD-NAME": "x" } });
+  } catch (error) {
+    threw = error.message.includes("BAD-NAME");
+  }
+  assert(threw, "Invalid variable names should be rejected");
+});
+
+test("sshCommand - runs in remotePath with remoteEnv by default", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    remotePath: "/var/www/myapp",
+    remoteEnv: { NODE_ENV: "production" },
+    sshConfig: false,
+  });
+  const commands = [];
+  deployer.ssh = {
+    execCommand: async (command) => {
+      commands.push(command);
+      return { stdout: "", stderr: "", code: 0, signal: null };
+    },
+  };
+  await deployer.sshCommand("pm2 reload app", { env: { PORT: 3000 } });
+  await deployer.sshCommand("ls", { cwd: "/tmp" });
+  await deployer.sshCommand("whoami", { cwd: null });
+  assertEqual(
+    commands[0],
+    "export NODE_ENV='production' && export PORT='3000' && cd '/var/www/myapp' && pm2 reload app"
+  );
+  assert(commands[1].endsWith("cd '/tmp' && ls"));
+  assertEqual(commands[2], "export NODE_ENV='production' && whoami");
+});
+
+test("script - uploads, runs with the interpreter and always cleans up", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "daffodil-script-"));
+  const scriptPath = path.join(dir, "migrate.py");
+  fs.writeFileSync(scriptPath, "print('ok')\n");
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    remotePath: "/srv/app",
+    sshConfig: false,
+  });
+  const commands = [];
+  const uploads = [];
+  deployer.ssh = {
+    putFile: async (local, remote) => uploads.push([local, remote]),
+    execCommand: async (command) => {
+      commands.push(command);
+      if (command.startsWith("mktemp")) {
+        return { stdout: "/tmp/daffodil-script.abc123\n", stderr: "", code: 0 };
+      }
+      const code = command.includes("python3") ? 2 : 0;
+      return { stdout: "", stderr: "", code, signal: null };
+    },
+  };
+  try {
+    await deployer.script(scriptPath, {
+      interpreter: "python3",
+      args: ["--env", "prod"],
+    });
+    throw new Error("Should have thrown CommandFailedError");
+  } catch (error) {
+    if (!(error instanceof CommandFailedError)) {
+      throw error;
+    }
+  } finally {
+    fs.removeSync(dir);
+  }
+  assertEqual(uploads[0][1], "/tmp/daffodil-script.abc123");
+  assert(
+    commands.some((c) =>
+      c.endsWith("python3 '/tmp/daffodil-script.abc123' '--env' 'prod'")
+    ),
+    "Script should run with interpreter and escaped args"
+  );
+  assertEqual(
+    commands[commands.length - 1],
+    "rm -f '/tmp/daffodil-script.abc123'",
+    "Temp script is removed even when it fails"
+  );
+});
+
+test("renderTemplate - substitutes variables, conditionals and loops", () => {
+  const output = renderTemplate(
+    "server_name {{ name }};\n{{#if ssl}}listen 443 ssl;{{else}}listen 80;{{/if}}\n{{#each domains}}{{@index}}:{{this}} {{/each}}{{#each upstreams}}{{host}}:{{ port }};{{/each}}",
+    {
+      name: "web1",
+      ssl: "false",
+      domains: "example.com, www.example.com",
+      upstreams: [
+        { host: "10.0.0.1", port: 3000 },
+        { host: "10.0.0.2", port: 3000 },
+      ],
+    }
+  );
+  assertEqual(
+    output,
+    "server_name web1;\nlisten 80;\n0:example.com 1:www.example.com 10.0.0.1:3000;10.0.0.2:3000;"
+  );
+  for (const broken of ["{{ missing }}", "{{#if ssl}}open", "{{/each}}"]) {
+    let threw = false;
+    try {
+      renderTemplate(broken, { ssl: true });
+    } catch {
+      threw = true;
+    }
+    assert(threw, `Should reject: ${broken}`);
+  }
+});
+
+test("template - exposes host fields and skips unchanged files", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "daffodil-template-"));
+  const templatePath = path.join(dir, "app.env.tpl");
+  fs.writeFileSync(templatePath, "HOST={{ name }}\nREGION={{ region }}\nPORT={{ appPort }}\n");
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    remotePath: "/srv/app",
+    sshConfig: false,
+  });
+  deployer.inventoryTarget = { name: "web1", host: "10.0.0.5", user: "deploy", region: "eu" };
+  const rendered = "HOST=web1\nREGION=eu\nPORT=8080\n";
+  const hash = crypto.createHash("sha256").update(rendered).digest("hex");
+  let remoteHash = "";
+  const uploads = [];
+  deployer.ssh = {
+    putFile: async (local, remote) => uploads.push([fs.readFileSync(local, "utf8"), remote]),
+    execCommand: async (command) => {
+      if (command.startsWith("sha256sum")) {
+        return { stdout: remoteHash ? `${remoteHash}  /srv/app/.env` : "", code: 0 };
+      }
+      if (command.startsWith("mktemp")) {
+        return { stdout: "/tmp/daffodil.x1\n", code: 0 };
+      }
+      return { stdout: "", stderr: "", code: 0 };
+    },
+  };
+  try {
+    const first = await deployer.template(templatePath, ".env", { appPort: 8080 });
+    assertEqual(first.changed, true);
+    assertEqual(first.path, "/srv/app/.env");
+    assertEqual(uploads[0][0], rendered);
+
+    remoteHash = hash;
+    const second = await deployer.template(templatePath, ".env", { appPort: 8080 });
+    assertEqual(second.changed, false, "Unchanged content is not rewritten");
+    assertEqual(uploads.length, 1);
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+// A temp directory holding `files` (one app.js by default) and a quiet
+// deployer. Its ssh mock records every command in `commands`; `reply`
+// answers the ones a test cares about and the rest succeed with no output.
+function createFixture(prefix, { files = { "app.js": "console.log(1);" }, reply = () => null, ...options } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `daffodil-${prefix}-`));
+  for (const [file, content] of Object.entries(files)) {
+    fs.outputFileSync(path.join(dir, file), content);
+  }
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+    ...options,
+  });
+  deployer.excludeList = [];
+  deployer.log = () => {};
+  const commands = [];
+  deployer.ssh = {
+    execCommand: async (command) => {
+      commands.push(command);
+      return reply(command) ?? { stdout: "", stderr: "", code: 0 };
+    },
+    putFile: async () => {},
+  };
+  return { dir, deployer, commands };
+}
+
+test("planIncrementalTransfer - compares local files with the remote manifest", async () => {
+  const sameHash = crypto.createHash("sha256").update("same").digest("hex");
+  const remoteManifest = {
+    files: {
+      "same.txt": { size: 4, hash: sameHash },
+      "lib/changed.js": { size: 3, hash: "old" },
+      "gone.txt": { size: 1, hash: "x" },
+    },
+  };
+  const { dir, deployer, commands } = createFixture("incremental", {
+    files: { "same.txt": "same", "lib/changed.js": "new", "added.txt": "added", "debug.log": "ignored" },
+    reply: () => ({ stdout: JSON.stringify(remoteManifest), stderr: "", code: 0 }),
+  });
+  deployer.excludeList = ["*.log"];
+  try {
+    const plan = await deployer.planIncrementalTransfer(dir, "/srv/app");
+    assertEqual(commands[0], "cat '/srv/app/.daffodil-manifest.json'");
+    assertEqual(plan.changed.sort().join(","), "added.txt,lib,lib/changed.js");
+    assertEqual(plan.unchanged.join(","), "same.txt");
+    assertEqual(plan.removed.join(","), "gone.txt");
+    assert(!plan.manifest["debug.log"], "Ignored files are left out of the manifest");
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("transferFiles - incremental transfer with no changes only rewrites the manifest", async () => {
+  let manifest = null;
+  const { dir, deployer, commands } = createFixture("incremental", {
+    // A stray copy of a remote manifest is never shipped
+    files: { "index.html": "hi", ".daffodil-manifest.json": "{}" },
+    reply: (command) => {
+      if (command.startsWith("cat ")) {
+        return { stdout: JSON.stringify({ files: { ...manifest, "old.txt": { size: 1, hash: "x" } } }), code: 0 };
+      }
+      return command.startsWith("mktemp") ? { stdout: "/tmp/daffodil.x1\n", code: 0 } : null;
+    },
+  });
+  manifest = await deployer.buildTransferManifest(dir);
+  assertEqual(Object.keys(manifest).join(","), "index.html");
+  const uploads = [];
+  deployer.ssh.putFile = async (local, remote) => uploads.push([fs.readFileSync(local, "utf8"), remote]);
+  try {
+    await deployer.transferFiles(dir, "/srv/app", { incremental: true, deleteRemoved: true });
+    assertEqual(uploads.length, 1, "Only the manifest is uploaded");
+    assertEqual(JSON.parse(uploads[0][0]).files["index.html"].hash, manifest["index.html"].hash);
+    assert(commands.includes("cd '/srv/app' && rm -f -- 'old.txt'"), "Removed files are deleted");
+    assert(
+      commands.some((c) => c.includes("chmod '600' '/srv/app/.daffodil-manifest.json'")),
+      "The manifest is only readable by its owner"
+    );
+    assert(!commands.some((c) => c.includes("tar -xzf")), "No archive is extracted");
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("Constructor - validates release strategy options", () => {
+  const base = { remoteUser: TEST_CONFIG.remoteUser, remoteHost: TEST_CONFIG.remoteHost, sshConfig: false };
+  for (const [options, expected] of [
+    [{ strategy: "symlink" }, "strategy must be one of"],
+    [{ keepReleases: 0 }, "keepReleases must be a positive integer"],
+    [{ sharedDirs: ["../logs"] }, "Shared path must be relative"],
+  ]) {
+    let error = null;
+    try {
+      new Daffodil({ ...base, ...options });
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.message.includes(expected), `Should reject ${JSON.stringify(options)}`);
+  }
+  const deployer = new Daffodil({ ...base, strategy: "releases", sharedDirs: ["storage/"] });
+  assertEqual(deployer.strategy, "releases");
+  assertEqual(deployer.keepReleases, 5);
+  assertEqual(deployer.sharedDirs[0], "storage");
+});
+
+test("transferFiles - releases strategy links shared paths, switches current and prunes", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    remotePath: "/srv/app",
+    sshConfig: false,
+    strategy: "releases",
+    keepReleases: 2,
+    sharedDirs: ["storage"],
+    sharedFiles: [".env"],
+  });
+  const commands = [];
+  const transfers = [];
+  deployer.ssh = {
+    execCommand: async (command) => {
+      commands.push(command);
+      if (command.startsWith("ls -1 ")) return { stdout: "r3\nr2\nr1\n", stderr: "", code: 0 };
+      if (command.startsWith("readlink")) return { stdout: "releases/r3\n", stderr: "", code: 0 };
+      return { stdout: "", stderr: "", code: 0 };
+    },
+  };
+  const transferFiles = deployer.transferFiles.bind(deployer);
+  deployer.transferFiles = async (localPath, destinationPath, options = {}) => {
+    if (options.strategy === "direct") {
+      transfers.push(destinationPath);
+      return;
+    }
+    return transferFiles(localPath, destinationPath, options);
+  };
+
+  const result = await deployer.transferFiles("./dist", undefined, { release: "r3" });
+  assertEqual(result.release, "r3");
+  assertEqual(result.path, "/srv/app/releases/r3");
+  assertEqual(result.removed.join(","), "r1");
+  assertEqual(transfers[0], "/srv/app/releases/r3");
+  assertEqual(commands[0], "mkdir -p '/srv/app/releases' && mkdir '/srv/app/releases/r3'");
+  assert(commands.some((c) => c.includes("ln -s '../../shared/storage' '/srv/app/releases/r3/storage'")), "Shared dir is linked");
+  assert(commands.some((c) => c.includes("ln -s '../../shared/.env' '/srv/app/releases/r3/.env'")), "Shared file is linked");
+  assert(
+    commands.some((c) => c.startsWith("ln -sfn 'releases/r3' '/srv/app/.current-r3'") && c.includes("mv -Tf '/srv/app/.current-r3' '/srv/app/current'")),
+    "current is switched by renaming a new symlink"
+  );
+  assertEqual(commands[commands.length - 1], "rm -rf '/srv/app/releases/r1'");
+});
+
+test("deployRelease - a failed transfer removes the release and keeps current", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    remotePath: "/srv/app",
+    sshConfig: false,
+  });
+  deployer.logError = () => {};
+  const commands = [];
+  deployer.ssh = {
+    execCommand: async (command) => {
+      commands.push(command);
+      return { stdout: "", stderr: "", code: 0 };
+    },
+  };
+  deployer.transferFiles = async () => {
+    throw new TransferError("Transfer failed: disk full");
+  };
+  let caught = null;
+  try {
+    await deployer.deployRelease("./dist", "/srv/app", { release: "r4" });
+  } catch (err) {
+    caught = err;
+  }
+  assert(caught instanceof TransferError, "Transfer error is rethrown");
+  assertEqual(commands[commands.length - 1], "rm -rf '/srv/app/releases/r4'");
+  assert(!commands.some((c) => c.includes("current")), "current is not touched");
+});
+
+test("deployRelease - incremental releases copied from current are listed newest first", async () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), "daffodil-releases-"));
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    remotePath: base,
+    sshConfig: false,
+    keepReleases: 2,
+  });
+  deployer.log = () => {};
+  // Runs the remote commands against a local directory
+  deployer.ssh = {
+    execCommand: async (command) => {
+      const result = spawnSync("sh", ["-c", command], { encoding: "utf8" });
+      return { stdout: result.stdout, stderr: result.stderr, code: result.status };
+    },
+  };
+  deployer.transferFiles = async (localPath, destinationPath) => {
+    fs.outputFileSync(path.join(destinationPath, "app.js"), destinationPath);
+  };
+  try {
+    await deployer.deployRelease("./dist", base, { release: "r1" });
+    // An old live release: cp -a carries this mtime over to the copies,
+    // which must not change their order
+    fs.utimesSync(path.join(base, "releases/r1"), new Date(2000, 0, 1), new Date(2000, 0, 1));
+    await deployer.deployRelease("./dist", base, { release: "r2", incremental: true });
+    await deployer.deployRelease("./dist", base, { release: "r3", incremental: true });
+    const { releases, current } = await deployer.listReleases(base);
+    assertEqual(current, "r3");
+    assertEqual(releases.join(","), "r3,r2", "r1 is pruned, not the new release");
+    assertEqual(await deployer.rollbackRelease(undefined, base), "r2");
+  } finally {
+    fs.removeSync(base);
+  }
+});
+
+test("listReleases - orders releases by name, newest first", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  const commands = [];
+  deployer.ssh = {
+    execCommand: async (command) => {
+      commands.push(command);
+      if (command.startsWith("ls -1 ")) {
+        return { stdout: "20240102000000\n20240301000000\n20240201000000\n", stderr: "", code: 0 };
+      }
+      return { stdout: "releases/20240301000000\n", stderr: "", code: 0 };
+    },
+  };
+  const { releases, current } = await deployer.listReleases("/srv/app");
+  assertEqual(commands[0], "ls -1 '/srv/app/releases'", "Modification times are not used");
+  assertEqual(releases.join(","), "20240301000000,20240201000000,20240102000000");
+  assertEqual(current, "20240301000000");
+});
+
+test("rollback - switches to the previous release and runs afterRollback steps", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    remotePath: "/srv/app",
+    sshConfig: false,
+  });
+  deployer.connect = async () => {};
+  const logs = [];
+  deployer.log = (message) => logs.push(message);
+  const commands = [];
+  deployer.ssh = {
+    execCommand: async (command) => {
+      commands.push(command);
+      if (command.startsWith("ls -1 ")) return { stdout: "r3\nr2\nr1\n", stderr: "", code: 0 };
+      if (command.startsWith("readlink")) return { stdout: "releases/r3\n", stderr: "", code: 0 };
+      return { stdout: "", stderr: "", code: 0 };
+    },
+    dispose: () => {},
+  };
+  let reloaded = false;
+  await deployer.rollback({
+    afterRollback: [{ step: "Reload app", command: async () => (reloaded = true) }],
+  });
+  assert(
+    commands.some((c) => c.startsWith("ln -sfn 'releases/r2' '/srv/app/.current-r2'")),
+    "current points at the previous release"
+  );
+  assert(logs.some((m) => m.includes("Available releases: r3 (current), r2, r1")), "Releases are listed");
+  assert(reloaded, "afterRollback steps run after the switch");
+});
+
+test("rollbackRelease - rejects unknown releases and lists the available ones", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  deployer.ssh = {
+    execCommand: async (command) => {
+      if (command.startsWith("ls -1 ")) return { stdout: "r2\nr1\n", stderr: "", code: 0 };
+      return { stdout: "releases/r2\n", stderr: "", code: 0 };
+    },
+  };
+  let error = null;
+  try {
+    await deployer.rollbackRelease("r9", "/srv/app");
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message.includes("Release r9 not found"), "Unknown release is rejected");
+  assert(error.message.includes("r2 (current), r1"), "Available releases are listed");
+});
+
+function fakeArchiveChannel(archive, code = 0, stderr = "") {
+  const commands = [];
+  const exec = (command, callback) => {
+    commands.push(command);
+    const channel = new PassThrough();
+    channel.stderr = new PassThrough();
+    channel.close = () => {};
+    // stdin (the sudo password, if any) is not used by the fake
+    channel.end = () => {};
+    callback(null, channel);
+    setImmediate(() => {
+      if (stderr) channel.stderr.write(stderr);
+      if (archive) channel.push(archive);
+      channel.push(null);
+      // Let the stderr data flush first, as a real channel does
+      setImmediate(() => {
+        channel.emit("exit", code);
+        channel.emit("close");
+      });
+    });
+  };
+  return { commands, exec };
+}
+
+test("fetchFiles - streams a remote archive into a per-host folder and applies ignore patterns", async () => {
+  const { dir, deployer } = createFixture("fetch", {
+    files: { "remote/app.log": "log line\n", "remote/cache/data.tmp": "tmp" },
+    remotePath: "/srv/app",
+  });
+  const archivePath = path.join(dir, "remote.tar.gz");
+  await tar.c({ gzip: true, cwd: path.join(dir, "remote"), file: archivePath }, ["."]);
+  deployer.excludeList = ["*.tmp"];
+  deployer.inventoryTarget = { name: "web1", host: "10.0.0.5" };
+  const channel = fakeArchiveChannel(fs.readFileSync(archivePath));
+  deployer.ssh.connection = { exec: channel.exec };
+  try {
+    const result = await deployer.fetchFiles("logs", path.join(dir, "out"));
+    assertEqual(result.path, path.join(dir, "out", "web1"));
+    assert(channel.commands[0].includes("tar -czf - -C '/srv/app/logs' ."), "Remote path is resolved against remotePath");
+    assertEqual(fs.readFileSync(path.join(dir, "out/web1/app.log"), "utf8"), "log line\n");
+    assert(!fs.existsSync(path.join(dir, "out/web1/cache/data.tmp")), "Ignored files are not extracted");
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("fetchFiles - throws PathNotFoundError for a missing remote path", async () => {
+  const { dir, deployer } = createFixture("fetch", { files: {} });
+  deployer.logError = () => {};
+  deployer.ssh.connection = { exec: fakeArchiveChannel(null, 3).exec };
+  let error = null;
+  try {
+    await deployer.fetchFiles("/var/log/missing", dir);
+  } catch (err) {
+    error = err;
+  } finally {
+    fs.removeSync(dir);
+  }
+  assert(error instanceof PathNotFoundError, "Should throw PathNotFoundError");
+  assertEqual(error.path, "/var/log/missing");
+});
+
+test("fetchFiles - fails on exit 1 unless tar reports a changed file", async () => {
+  const { dir, deployer } = createFixture("fetch", { files: {} });
+  const warnings = [];
+  deployer.log = (message) => warnings.push(message);
+  deployer.ssh.connection = {
+    exec: fakeArchiveChannel(null, 1, "sudo: a password is required\n").exec,
+  };
+  let error = null;
+  try {
+    await deployer.fetchFiles("/var/log/app", dir, { sudo: true });
+  } catch (err) {
+    error = err;
+  }
+  try {
+    assert(error instanceof TransferError, "A sudo failure should throw TransferError");
+    assert(error.message.includes("sudo: a password is required"), "The stderr is reported");
+
+    fs.outputFileSync(path.join(dir, "remote/app.log"), "log line\n");
+    const archivePath = path.join(dir, "remote.tar.gz");
+    await tar.c({ gzip: true, cwd: path.join(dir, "remote"), file: archivePath }, ["."]);
+    deployer.ssh.connection = {
+      exec: fakeArchiveChannel(
+        fs.readFileSync(archivePath),
+        1,
+        "tar: ./app.log: file changed as we read it\n"
+      ).exec,
+    };
+    await deployer.fetchFiles("/var/log/app", path.join(dir, "out"));
+    assertEqual(fs.readFileSync(path.join(dir, "out/app.log"), "utf8"), "log line\n");
+    assert(warnings.some((m) => m.includes("file changed as we read it")), "A changed file is only a warning");
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("fetchFiles - a failing SSH channel rejects the fetch", async () => {
+  const { dir, deployer } = createFixture("fetch", { files: {} });
+  const exec = (command, callback) => {
+    const channel = new PassThrough();
+    channel.stderr = new PassThrough();
+    channel.close = () => {};
+    channel.end = () => {};
+    callback(null, channel);
+    setImmediate(() => channel.emit("error", new Error("Channel reset")));
+  };
+  deployer.ssh.connection = { exec };
+  let error = null;
+  try {
+    await deployer.fetchFiles("/var/log/app", dir);
+  } catch (err) {
+    error = err;
+  } finally {
+    fs.removeSync(dir);
+  }
+  assert(error instanceof TransferError, "Should throw TransferError");
+  assert(error.message.includes("Channel reset"), "The channel error is reported");
+});
+
+test("runChunked - splits long path lists and stops at the first failure", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  const commands = [];
+  deployer.ssh = {
+    execCommand: async (command) => {
+      commands.push(command);
+      return { stdout: "", stderr: "", code: 0 };
+    },
+  };
+  const paths = Array.from({ length: 450 }, (_, i) => `file ${i}.txt`);
+  assertEqual(await deployer.runChunked(paths, (args) => `rm -f -- ${args}`), null);
+  assertEqual(commands.length, 3, "450 paths run as three commands");
+  assert(commands[0].startsWith("rm -f -- 'file 0.txt' 'file 1.txt'"), "Paths are quoted");
+  assert(commands[2].endsWith("'file 449.txt'"), "The last chunk holds the rest");
+
+  commands.length = 0;
+  deployer.ssh.execCommand = async (command) => {
+    commands.push(command);
+    return { stdout: "", stderr: "Permission denied", code: 1 };
+  };
+  const failed = await deployer.runChunked(paths, (args) => `rm -f -- ${args}`);
+  assertEqual(failed.stderr, "Permission denied");
+  assertEqual(commands.length, 1, "Later chunks are not run after a failure");
+});
+
+test("createIgnoreFilter - follows gitignore semantics", () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  deployer.excludeList = ["log", "/build", "tmp/", "docs/**/*.md", "*.log", "!keep.log"];
+  const isIgnored = deployer.createIgnoreFilter();
+  assert(!isIgnored("catalog.js"), "Patterns match whole names, not substrings");
+  assert(isIgnored("src/log"), "Unanchored patterns match at any depth");
+  assert(isIgnored("build", true) && !isIgnored("app/build/main.js"), "Leading slash anchors to the root");
+  assert(isIgnored("tmp", true) && !isIgnored("tmp"), "Trailing slash matches directories only");
+  assert(isIgnored("cache/tmp/a.txt"), "Files inside ignored directories are ignored");
+  assert(isIgnored("docs/a/b/guide.md") && isIgnored("docs/guide.md"), "** spans directories");
+  assert(isIgnored("error.log") && !isIgnored("keep.log"), "Negation re-includes files");
+  assert(isIgnored(".daffodil-manifest.json"), "The incremental manifest is always excluded");
+  assert(!isIgnored("docs/.daffodil-manifest.json"), "Only the top-level manifest is excluded");
+});
+
+test("buildTransferManifest - applies nested ignore files and include/exclude options", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "daffodil-ignore-"));
+  fs.outputFileSync(path.join(dir, "app.js"), "app");
+  fs.outputFileSync(path.join(dir, "style.css"), "css");
+  fs.outputFileSync(path.join(dir, "lib/secret.js"), "secret");
+  fs.outputFileSync(path.join(dir, "lib/util.js"), "util");
+  fs.outputFileSync(path.join(dir, "lib/.scpignore"), "secret.js\n");
+  fs.outputFileSync(path.join(dir, "vendor/dep.js"), "dep");
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  deployer.excludeList = [];
+  try {
+    const manifest = await deployer.buildTransferManifest(dir, {
+      include: ["*.js"],
+      exclude: ["vendor/"],
+    });
+    assertEqual(Object.keys(manifest).sort().join(","), "app.js,lib,lib/util.js");
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("transferFiles - reports archive and upload progress to onProgress", async () => {
+  const events = [];
+  const { dir, deployer } = createFixture("progress", {
+    files: { "a.txt": "aaaa", "lib/b.txt": "bb" },
+    onProgress: (event) => events.push(event),
+  });
+  deployer.ssh.putFile = async (local, remote, sftp, transferOptions) => {
+    const { size } = fs.statSync(local);
+    transferOptions.step(Math.floor(size / 2), 10, size);
+    transferOptions.step(size, 10, size);
+  };
+  try {
+    await deployer.transferFiles(dir, "/srv/app");
+    const archive = events.filter((e) => e.phase === "archive").pop();
+    assertEqual(archive.files, 2);
+    assertEqual(archive.totalFiles, 2);
+    assertEqual(archive.bytes, 6);
+    assertEqual(archive.percent, 100);
+    const upload = events.filter((e) => e.phase === "upload").pop();
+    assertEqual(upload.percent, 100, "The last upload event is always reported");
+    assertEqual(upload.bytes, upload.totalBytes);
+    assert(typeof upload.speed === "number", "Upload speed is reported");
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("transferFiles - archive progress follows the data written, not the file list", async () => {
+  const size = 4 * 1024 * 1024;
+  const events = [];
+  const { dir, deployer } = createFixture("progress", {
+    files: { "big.bin": Buffer.alloc(size, 1) },
+    onProgress: (event) => events.push(event),
+  });
+  try {
+    await deployer.transferFiles(dir, "/srv/app", { verify: false });
+    const archive = events.filter((e) => e.phase === "archive");
+    assert(archive[0].bytes < size, `The first event is reported mid-file, got ${archive[0].bytes}`);
+    assertEqual(archive[0].files, 0, "The file is not counted until it is written");
+    assertEqual(archive[archive.length - 1].bytes, size);
+    assertEqual(archive[archive.length - 1].files, 1);
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("transferFiles - followSymlinks keeps remote directory symlinks only with GNU tar", async () => {
+  const extractWith = async (version) => {
+    const { dir, deployer, commands } = createFixture("symlinks", {
+      reply: (command) => (command === "tar --version" ? { stdout: version, stderr: "", code: 0 } : null),
+    });
+    const logs = [];
+    deployer.log = (message) => logs.push(message);
+    try {
+      await deployer.transferFiles(dir, "/srv/app", { followSymlinks: true, verify: false });
+    } finally {
+      fs.removeSync(dir);
+    }
+    return { extract: commands.find((c) => c.includes("tar -xzf")), logs };
+  };
+  const gnu = await extractWith("tar (GNU tar) 1.34\n");
+  assert(gnu.extract.endsWith(" --keep-directory-symlink"), "GNU tar extracts through directory symlinks");
+  const bsd = await extractWith("bsdtar 3.7.2 - libarchive 3.7.2\n");
+  assert(!bsd.extract.includes("--keep-directory-symlink"), "Other tars do not get the GNU-only flag");
+  assert(bsd.logs.some((m) => m.includes("not GNU tar")), "A warning is logged");
+});
+
+test("transferFiles - re-uploads the archive when the remote checksum differs", async () => {
+  let uploads = 0;
+  let uploadedDigest = null;
+  const { dir, deployer } = createFixture("verify", {
+    reply: (command) => {
+      if (!command.startsWith("sha256sum")) return null;
+      // The first upload arrives corrupted
+      const digest = uploads === 1 ? "0".repeat(64) : uploadedDigest;
+      return { stdout: `${digest}  archive.tar.gz\n`, stderr: "", code: 0 };
+    },
+  });
+  deployer.ssh.putFile = async (local) => {
+    uploads++;
+    uploadedDigest = crypto
+      .createHash("sha256")
+      .update(fs.readFileSync(local))
+      .digest("hex");
+  };
+  try {
+    await deployer.transferFiles(dir, "/srv/app");
+    assertEqual(uploads, 2, "The archive is uploaded again after a mismatch");
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("transferFiles - throws TransferError with both digests after the retries", async () => {
+  const { dir, deployer, commands } = createFixture("verify", {
+    reply: (command) =>
+      command.startsWith("sha256sum") ? { stdout: `${"f".repeat(64)}  a\n`, stderr: "", code: 0 } : null,
+  });
+  let uploads = 0;
+  let localDigest = null;
+  deployer.ssh.putFile = async (local) => {
+    uploads++;
+    localDigest = crypto
+      .createHash("sha256")
+      .update(fs.readFileSync(local))
+      .digest("hex");
+  };
+  try {
+    await deployer.transferFiles(dir, "/srv/app", { uploadRetries: 1 });
+    assert(false, "Should have thrown");
+  } catch (error) {
+    assert(error instanceof TransferError, "Should be TransferError");
+    assertEqual(uploads, 2, "One upload plus one retry");
+    assert(error.message.includes(localDigest), "Message names the local digest");
+    assert(error.message.includes("f".repeat(64)), "Message names the remote digest");
+    assertEqual(error.remoteDigest, "f".repeat(64));
+    assert(
+      !commands.some((c) => c.includes("tar -xzf")),
+      "Mismatched archives are never extracted"
+    );
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+function fakeExtractChannel(extractTo, { code = 0, stderr = "" } = {}) {
+  const commands = [];
+  const exec = (command, callback) => {
+    commands.push(command);
+    const chunks = [];
+    const channel = new Writable({
+      emitClose: false,
+      write(chunk, encoding, done) {
+        chunks.push(chunk);
+        done();
+      },
+      final(done) {
+        done();
+        setImmediate(async () => {
+          if (code === 0) {
+            fs.mkdirpSync(extractTo);
+            const archivePath = `${extractTo}.tar.gz`;
+            fs.writeFileSync(archivePath, Buffer.concat(chunks));
+            await tar.x({ file: archivePath, cwd: extractTo });
+          } else {
+            channel.stderr.write(stderr);
+          }
+          channel.emit("exit", code);
+          channel.emit("close");
+        });
+      },
+    });
+    channel.stderr = new PassThrough();
+    channel.close = () => {};
+    callback(null, channel);
+  };
+  return { commands, exec };
+}
+
+test("transferFiles - streams the archive into a remote tar without a local file", async () => {
+  const { dir, deployer } = createFixture("stream", {
+    files: {
+      "local/app.js": "console.log(1);",
+      "local/lib/util.js": "module.exports = {};",
+      "local/debug.log": "noise",
+    },
+    stream: true,
+  });
+  deployer.excludeList = ["*.log"];
+  const channel = fakeExtractChannel(path.join(dir, "remote"));
+  deployer.ssh.connection = { exec: channel.exec };
+  deployer.ssh.putFile = async () => {
+    throw new Error("Streaming should not upload a file");
+  };
+  try {
+    await deployer.transferFiles(path.join(dir, "local"), "/srv/app");
+    assertEqual(channel.commands.length, 1);
+    assert(
+      channel.commands[0].includes("mkdir -p '/srv/app' && cd '/srv/app' && tar -xzf -"),
+      "The remote tar reads the archive from stdin"
+    );
+    assertEqual(fs.readFileSync(path.join(dir, "remote/lib/util.js"), "utf8"), "module.exports = {};");
+    assert(!fs.existsSync(path.join(dir, "remote/debug.log")), "Ignored files are not streamed");
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("transferFiles - incremental transfers ship and remove symlinks and directories", async () => {
+  // The remote has app.js already, an old link target and a removed directory
+  let previous = null;
+  const { dir, deployer, commands } = createFixture("incremental", {
+    files: { "local/app.js": "console.log(1);" },
+    reply: (command) => {
+      if (command.startsWith("cat ")) {
+        return { stdout: JSON.stringify({ files: previous }), code: 0 };
+      }
+      return command.startsWith("mktemp") ? { stdout: "/tmp/daffodil.x1\n", code: 0 } : null;
+    },
+  });
+  const local = path.join(dir, "local");
+  fs.symlinkSync("app.js", path.join(local, "link.js"));
+  fs.mkdirpSync(path.join(local, "uploads"));
+  const manifest = await deployer.buildTransferManifest(local);
+  assertEqual(manifest["link.js"].target, "app.js");
+  assertEqual(manifest.uploads.type, "directory");
+  const followed = await deployer.buildTransferManifest(local, { followSymlinks: true });
+  assertEqual(followed["link.js"].hash, manifest["app.js"].hash, "followSymlinks records the target");
+
+  previous = {
+    "app.js": manifest["app.js"],
+    "link.js": { type: "symlink", target: "old.js" },
+    gone: { type: "directory" },
+    "gone/file.txt": { size: 1, hash: "x" },
+  };
+  const channel = fakeExtractChannel(path.join(dir, "remote"));
+  deployer.ssh.connection = { exec: channel.exec };
+  try {
+    await deployer.transferFiles(local, "/srv/app", { stream: true, incremental: true, deleteRemoved: true });
+    assertEqual(fs.readlinkSync(path.join(dir, "remote/link.js")), "app.js");
+    assert(fs.statSync(path.join(dir, "remote/uploads")).isDirectory(), "Empty directories are shipped");
+    assert(!fs.existsSync(path.join(dir, "remote/app.js")), "Unchanged files are not shipped");
+    assert(commands.includes("cd '/srv/app' && rm -f -- 'gone/file.txt'"), "Removed files are deleted");
+    assert(
+      commands.includes("cd '/srv/app' && rmdir -- 'gone' 2>/dev/null || true"),
+      "Removed directories are deleted after their files"
+    );
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("transferFiles - reports a failed streamed extraction as TransferError", async () => {
+  const { dir, deployer } = createFixture("stream");
+  deployer.logError = () => {};
+  const channel = fakeExtractChannel(null, {
+    code: 2,
+    stderr: "tar: app.js: Cannot open: Permission denied",
+  });
+  deployer.ssh.connection = { exec: channel.exec };
+  let error = null;
+  try {
+    await deployer.transferFiles(dir, "/srv/app", { stream: true });
+  } catch (err) {
+    error = err;
+  } finally {
+    fs.removeSync(dir);
+  }
+  assert(error instanceof TransferError, "Should throw TransferError");
+  assert(error.message.includes("Permission denied"), "Remote stderr is reported");
+});
+
+test("transferFiles - a failing SSH channel rejects the streamed transfer", async () => {
+  const { dir, deployer } = createFixture("stream", {
+    files: { "big.bin": crypto.randomBytes(512 * 1024) },
+  });
+  deployer.logError = () => {};
+  // The connection drops after the first chunk arrives
+  const exec = (command, callback) => {
+    const channel = new Writable({
+      write(chunk, encoding, done) {
+        done();
+        setImmediate(() => channel.emit("error", new Error("Channel reset")));
+      },
+    });
+    channel.stderr = new PassThrough();
+    channel.close = () => {};
+    callback(null, channel);
+  };
+  deployer.ssh.connection = { exec };
+  let error = null;
+  try {
+    await deployer.transferFiles(dir, "/srv/app", { stream: true });
+  } catch (err) {
+    error = err;
+  } finally {
+    fs.removeSync(dir);
+  }
+  assert(error instanceof TransferError, "Should throw TransferError");
+  assert(error.message.includes("Channel reset"), "The channel error is reported");
+});
+
+test("transferFiles - a failed archive is not retried without the exclude filter", async () => {
+  const { dir, deployer } = createFixture("archive", {
+    files: { "app.js": "console.log(1);", "secret.env": "TOKEN=1" },
+  });
+  deployer.logError = () => {};
+  // app.js turns into a directory once tar has stat'ed it, so reading it
+  // fails (the first filter call is for the progress totals)
+  let calls = 0;
+  deployer.createIgnoreFilter = () => (relPath) => {
+    if (relPath === "app.js" && ++calls > 1) {
+      fs.removeSync(path.join(dir, "app.js"));
+      fs.mkdirSync(path.join(dir, "app.js"));
+    }
+    return relPath === "secret.env";
+  };
+  const uploads = [];
+  deployer.ssh.putFile = async (local) => uploads.push(local);
+  let error = null;
+  try {
+    await deployer.transferFiles(dir, "/srv/app");
+  } catch (err) {
+    error = err;
+  } finally {
+    fs.removeSync(dir);
+  }
+  assert(error instanceof TransferError, "Should throw TransferError");
+  assert(error.message.includes("EISDIR"), "The archive error is reported");
+  assertEqual(uploads.length, 0, "Nothing is uploaded");
+});
+
+test("transferFiles - stages elevated archives in a private temp directory", async () => {
+  const { dir, deployer, commands } = createFixture("sudo", {
+    files: { "app.conf": "listen 80;" },
+    reply: (command) =>
+      command.startsWith("mktemp -d") ? { stdout: "/tmp/daffodil.Ab12Cd\n", stderr: "", code: 0 } : null,
+  });
+  const uploads = [];
+  deployer.ssh.putFile = async (local, remote) => uploads.push(remote);
+  try {
+    await deployer.transferFiles(dir, "/etc/app", { sudo: true, sudoUser: "www-data", verify: false });
+  } finally {
+    fs.removeSync(dir);
+  }
+  assertEqual(uploads.length, 1);
+  assert(uploads[0].startsWith("/tmp/daffodil.Ab12Cd/daffodil_"), "The archive goes into the mktemp directory");
+  assert(commands.includes("chmod 711 '/tmp/daffodil.Ab12Cd'"), "The sudo user can reach the archive");
+  assert(
+    commands.some((c) => c.startsWith("sudo ") && c.includes(uploads[0])),
+    "The archive is extracted through sudo"
+  );
+  assertEqual(commands[commands.length - 1], "rm -rf '/tmp/daffodil.Ab12Cd'", "The directory is removed last");
+});
+
+test("transferFiles - validates compression and compressionLevel", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  const attempts = [
+    [{ compression: "lz4" }, "compression must be one of: gzip, zstd, xz, none"],
+    [{ compressionLevel: 10 }, "compressionLevel for gzip must be an integer from 1 to 9"],
+    [{ compression: "none", compressionLevel: 1 }, 'compressionLevel does not apply to "none"'],
+  ];
+  for (const [options, message] of attempts) {
+    let error = null;
+    try {
+      await deployer.transferFiles(".", "/srv/app", options);
+    } catch (err) {
+      error = err;
+    }
+    assertEqual(error && error.message, message);
+  }
+});
+
+test("transferFiles - checks that the remote tar reads the chosen format", async () => {
+  const { dir, deployer } = createFixture("compression", {
+    reply: (command) =>
+      command.startsWith("tar --zstd -cf -")
+        ? { stdout: "", stderr: "tar: unrecognized option '--zstd'", code: 2 }
+        : null,
+  });
+  let uploads = 0;
+  deployer.ssh.putFile = async () => {
+    uploads++;
+  };
+  let error = null;
+  try {
+    await deployer.transferFiles(dir, "/srv/app", { compression: "zstd" });
+  } catch (err) {
+    error = err;
+  } finally {
+    fs.removeSync(dir);
+  }
+  assert(error instanceof TransferError, "Should throw TransferError");
+  assert(error.message.includes("does not support zstd"), "The format is named");
+  assert(error.message.includes("unrecognized option"), "Remote stderr is included");
+  assertEqual(uploads, 0, "Nothing is uploaded");
+});
+
+test("transferFiles - extracts with the flags of the chosen compression", async () => {
+  const { dir, deployer, commands } = createFixture("compression");
+  let uploaded = null;
+  deployer.ssh.putFile = async (local, remote) => {
+    uploaded = remote;
+    // An uncompressed tar starts with the entry name
+    assertEqual(fs.readFileSync(local).subarray(0, 6).toString(), "app.js");
+  };
+  try {
+    await deployer.transferFiles(dir, "/srv/app", { compression: "none" });
+    assert(uploaded.endsWith(".tar"), "The archive is a plain .tar");
+    assert(
+      commands.some((c) => c.includes(`&& tar -xf '${uploaded}'`)),
+      "The remote tar extracts without decompression"
+    );
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("transferFiles - validates permission options", async () => {
+  const deployer = new Daffodil({
+    remoteUser: TEST_CONFIG.remoteUser,
+    remoteHost: TEST_CONFIG.remoteHost,
+    sshConfig: false,
+  });
+  const attempts = [
+    [{ mode: "u+rw" }, 'mode must be an octal mode such as "644"'],
+    [{ dirMode: 0o17777 }, 'dirMode must be an octal mode such as "644"'],
+    [{ owner: " " }, "owner must be a user/group name or numeric id"],
+    [{ followSymlinks: "yes" }, "followSymlinks must be a boolean"],
+  ];
+  for (const [options, message] of attempts) {
+    let error = null;
+    try {
+      await deployer.transferFiles(".", "/srv/app", options);
+    } catch (err) {
+      error = err;
+    }
+    assertEqual(error && error.message, message);
+  }
+});
+
+test("transferFiles - applies mode, dirMode and ownership to extracted files", async () => {
+  const { dir, deployer, commands } = createFixture("perms", {
+    files: { "app.js": "console.log(1);", "lib/util.js": "module.exports = {};" },
+  });
+  const modes = {};
+  deployer.ssh.putFile = async (local) => {
+    await tar.t({
+      file: local,
+      onReadEntry: (entry) => {
+        modes[entry.path.replace(/\/$/, "")] = entry.mode;
+      },
+    });
+  };
+  try {
+    await deployer.transferFiles(dir, "/srv/app", {
+      mode: "640",
+      dirMode: 0o750,
+      owner: "www-data",
+      group: "www-data",
+    });
+    assertEqual(modes["app.js"], 0o640);
+    assertEqual(modes["lib/util.js"], 0o640);
+    assertEqual(modes["lib"], 0o750);
+    const extract = commands.find((c) => c.includes("tar -xzf"));
+    assert(extract.includes(" -p"), "Forced modes are extracted as-is");
+    const chown = commands.find((c) => c.includes("chown"));
+    assert(chown.includes("chown -h 'www-data:www-data' -- "), "Owner and group are applied");
+    assert(
+      ["'app.js'", "'lib'", "'lib/util.js'"].every((file) => chown.includes(file)),
+      "Every extracted entry is changed"
+    );
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+function fakeSftpConnection(tarCode = 0) {
+  const calls = { commands: [], uploaded: [], chmod: {}, putFile: 0 };
+  const sftp = {
+    chmod: (remote, mode, callback) => {
+      calls.chmod[remote] = mode;
+      callback(null);
+    },
+    end: () => {},
+  };
+  // Walks the tree like node-ssh: validate() decides what is scanned
+  const putDirectory = async (local, remote, { validate, tick }) => {
+    const walk = (dir) => {
+      for (const name of fs.readdirSync(dir)) {
+        const item = path.join(dir, name);
+        if (!validate(item)) continue;
+        if (fs.statSync(item).isDirectory()) {
+          walk(item);
+        } else {
+          const remoteFile = path.posix.join(remote, path.relative(local, item).split(path.sep).join("/"));
+          calls.uploaded.push(remoteFile);
+          tick(item, remoteFile, null);
+        }
+      }
+    };
+    walk(local);
+    return true;
+  };
+  const ssh = {
+    execCommand: async (command) => {
+      calls.commands.push(command);
+      return command === "command -v tar"
+        ? { stdout: "", stderr: "", code: tarCode }
+        : { stdout: "", stderr: "", code: 0 };
+    },
+    requestSFTP: async () => sftp,
+    putDirectory,
+    putFile: async () => {
+      calls.putFile++;
+    },
+  };
+  return { calls, ssh };
+}
+
+test("transferFiles - uploads the filtered tree over SFTP with method sftp", async () => {
+  const { dir, deployer } = createFixture("sftp", {
+    files: { "app.js": "console.log(1);", "bin/run.sh": "#!/bin/sh", "logs/debug.log": "noise" },
+    method: "sftp",
+  });
+  fs.chmodSync(path.join(dir, "bin/run.sh"), 0o750);
+  deployer.excludeList = ["logs/"];
+  const { calls, ssh } = fakeSftpConnection();
+  deployer.ssh = ssh;
+  try {
+    await deployer.transferFiles(dir, "/srv/app");
+    assertEqual(calls.uploaded.sort().join(","), "/srv/app/app.js,/srv/app/bin/run.sh");
+    assertEqual(calls.chmod["/srv/app/bin/run.sh"], 0o750, "Local permission bits are restored");
+    assert(!calls.commands.some((c) => c.includes("tar")), "The remote tar is never used");
+    assertEqual(calls.putFile, 0, "No archive is uploaded");
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("transferFiles - auto picks sftp when the remote has no tar", async () => {
+  const { dir, deployer } = createFixture("sftp");
+  const { calls, ssh } = fakeSftpConnection(1);
+  deployer.ssh = ssh;
+  let sudoError = null;
+  try {
+    await deployer.transferFiles(dir, "/srv/app", { method: "auto" });
+    assertEqual(calls.uploaded.join(","), "/srv/app/app.js");
+    assertEqual(calls.putFile, 0, "No archive is uploaded");
+    await deployer.transferFiles(dir, "/srv/app", { method: "sftp", sudo: true });
+  } catch (err) {
+    sudoError = err;
+  } finally {
+    fs.removeSync(dir);
+  }
+  assert(sudoError instanceof TransferError, "sftp cannot be combined with sudo");
+  assert(sudoError.message.includes("cannot use sudo"));
+});
+
+// Answers the mirror's remote listing with a fixed tree
+function withRemoteTree(ssh, calls, files, directories) {
+  ssh.execCommand = async (command) => {
+    calls.commands.push(command);
+    if (command.includes("find . -mindepth 1 ! -type d")) {
+      return { stdout: files.map((file) => `./${file}`).join("\n"), stderr: "", code: 0 };
+    }
+    if (command.includes("find . -mindepth 1 -type d")) {
+      return { stdout: directories.map((dir) => `./${dir}`).join("\n"), stderr: "", code: 0 };
+    }
+    return { stdout: "", stderr: "", code: 0 };
+  };
+}
+
+test("transferFiles - mirror deletes stale remote files but keeps protected ones", async () => {
+  const { dir, deployer } = createFixture("mirror", {
+    files: { "app.js": "console.log(1);", "lib/util.js": "module.exports = {};" },
+    method: "sftp",
+  });
+  deployer.excludeList = ["logs/"];
+  const logs = [];
+  deployer.log = (message) => logs.push(message);
+  const { calls, ssh } = fakeSftpConnection();
+  withRemoteTree(
+    ssh,
+    calls,
+    ["app.js", "old.js", "lib/util.js", "lib/gone.js", "stale/a.txt", ".env", "uploads/u/1.png", "logs/app.log"],
+    ["lib", "stale", "uploads", "uploads/u", "logs"]
+  );
+  deployer.ssh = ssh;
+  try {
+    await deployer.transferFiles(dir, "/srv/app", { mirror: true, protect: ["uploads/", ".env"] });
+    const rm = calls.commands.find((c) => c.includes("rm -f --"));
+    assertEqual(rm, "cd '/srv/app' && rm -f -- 'old.js' 'lib/gone.js' 'stale/a.txt'");
+    assertEqual(calls.commands.find((c) => c.includes("rmdir")), "cd '/srv/app' && rmdir -- 'stale'");
+    assert(logs.includes("  - stale/"), "Stale directories are listed");
+    assert(
+      logs.findIndex((m) => m.includes("will be deleted")) < logs.findIndex((m) => m.includes("Uploaded")),
+      "The listing comes before the transfer"
+    );
+  } finally {
+    fs.removeSync(dir);
+  }
+});
+
+test("transferFiles - dryRun lists stale files without transferring", async () => {
+  const { dir, deployer } = createFixture("mirror", { method: "sftp" });
+  const { calls, ssh } = fakeSftpConnection();
+  withRemoteTree(ssh, calls, ["app.js", "old.js"], []);
+  deployer.ssh = ssh;
+  let fileError = null;
+  try {
+    const stale = await deployer.transferFiles(dir, "/srv/app", { delete: true, dryRun: true });
+    assertEqual(stale.files.join(","), "old.js");
+    assertEqual(calls.uploaded.length, 0, "Nothing is uploaded");
+    assert(!calls.commands.some((c) => c.includes("rm -f")), "Nothing is deleted");
+    await deployer.transferFiles(path.join(dir, "app.js"), "/srv/app", { mirror: true });
+  } catch (err) {
+    fileError = err;
+  } finally {
+    fs.removeSync(dir);
+  }
+  assert(fileError instanceof TransferError, "mirror needs a directory");
+});
+
 test("log - includes timestamp when verbose is true", () => {
   const deployer = new Daffodil({
     remoteUser: TEST_CONFIG.remoteUser,
@@ -481,8 +2433,8 @@ test("log - no timestamp when verbose is false", () => {
   );
 });
 
-  // Test Summary
-  setTimeout(() => {
+  // Test Summary (once every test, including async ones, has settled)
+  Promise.allSettled(pending).then(() => {
     console.log("\n" + "=".repeat(50));
     console.log("\n📊 Test Results:");
     console.log(`✓ Passed: ${testsPassed}`);
@@ -496,6 +2448,6 @@ test("log - no timestamp when verbose is false", () => {
     }
 
     process.exit(testsFailed === 0 ? 0 : 1);
-  }, 100);
+  });
 })();
 
@@ -1,5 +1,7 @@
-import { spawnSync } from "child_process";
+import { spawn, spawnSync } from "child_process";
+import crypto from "crypto";
 import fs from "fs-extra";
+import { createRequire } from "module";
 import os from "os";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -74,6 +76,45 @@ test("CLI fails for unsupported step type", () => {
   fs.removeSync(dir);
 });
 
+test("CLI rollback requires a release name after --to", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsdaffodil-cli-"));
+  const cfg = path.join(dir, ".daffodil.yml");
+  fs.writeFileSync(
+    cfg,
+    `hosts:\n  - name: web1\n    host: 127.0.0.1\n    user: deploy\n`,
+    "utf8"
+  );
+  const res = runCli(["rollback", "--config", cfg, "--to"]);
+  assert(res.status !== 0, "Expected non-zero exit code");
+  assert(
+    (res.stderr || "").includes("--to requires a release name"),
+    "Expected missing release error"
+  );
+  fs.removeSync(dir);
+});
+
+test("CLI rollback does not require steps", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsdaffodil-cli-"));
+  const cfg = path.join(dir, ".daffodil.yml");
+  fs.writeFileSync(
+    cfg,
+    `hosts:\n  - name: web1\n    host: 127.0.0.1\n    user: deploy\n    port: 1\nsshConfig: false\n`,
+    "utf8"
+  );
+  const res = runCli(["rollback", "--config", cfg]);
+  // No SSH server on port 1: the rollback is attempted and fails to connect
+  assert(res.status !== 0, "Expected non-zero exit code");
+  assert(
+    !(res.stderr || "").includes("No steps provided"),
+    "Rollback should not require deploy steps"
+  );
+  assert(
+    `${res.stdout}${res.stderr}`.includes("Connecting to 127.0.0.1"),
+    "Expected the rollback to connect to the host"
+  );
+  fs.removeSync(dir);
+});
+
 test("CLI reads hosts from inventory.ini reference", () => {
   const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsdaffodil-cli-"));
   const cfg = path.join(dir, ".daffodil.yml");
@@ -114,6 +155,128 @@ test("CLI prefers hosts over inventory when hosts are provided", () => {
   fs.removeSync(dir);
 });
 
+// Minimal SSH server for CLI runs: password "secret", exec through sh
+const SSH_SERVER = `
+const { Server } = require(process.argv[2]);
+const { spawn } = require("child_process");
+const hostKey = require("fs").readFileSync(process.argv[3]);
+const server = new Server({ hostKeys: [hostKey] }, (client) => {
+  client.on("error", () => {});
+  client.on("authentication", (ctx) => {
+    if (ctx.method === "password" && ctx.password === "secret") return ctx.accept();
+    ctx.reject(["password"]);
+  });
+  client.on("session", (accept) => {
+    accept().on("exec", (accept, reject, info) => {
+      const stream = accept();
+      const child = spawn("sh", ["-c", info.command]);
+      child.stdin.on("error", () => {});
+      stream.pipe(child.stdin);
+      child.stdout.pipe(stream, { end: false });
+      child.stderr.pipe(stream.stderr, { end: false });
+      child.on("close", (code) => {
+        stream.exit(code ?? 0);
+        stream.end();
+      });
+    });
+  });
+});
+server.listen(0, "127.0.0.1", () => console.log(server.address().port));
+`;
+
+async function startSshServer(dir) {
+  const script = path.join(dir, "server.cjs");
+  const hostKey = path.join(dir, "host_key");
+  fs.writeFileSync(script, SSH_SERVER);
+  fs.writeFileSync(
+    hostKey,
+    crypto
+      .generateKeyPairSync("rsa", { modulusLength: 2048 })
+      .privateKey.export({ type: "pkcs1", format: "pem" })
+  );
+  const ssh2 = createRequire(import.meta.url).resolve("ssh2");
+  const server = spawn(process.execPath, [script, ssh2, hostKey]);
+  const port = await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.stdout.once("data", (data) => resolve(Number(data.toString())));
+  });
+  return { port, stop: () => server.kill() };
+}
+
+{
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jsdaffodil-cli-"));
+  const server = await startSshServer(dir);
+  try {
+    test("CLI --json writes only JSON lines to stdout", () => {
+      fs.outputFileSync(path.join(dir, "dist/app.js"), "console.log(1);");
+      const cfg = path.join(dir, ".daffodil.yml");
+      fs.writeFileSync(
+        cfg,
+        `hosts:\n  - name: web1\n    host: 127.0.0.1\n    user: deploy\n    port: ${server.port}\n` +
+          `password: secret\nhostKeyPolicy: "off"\nsshConfig: false\nremotePath: ${path.join(dir, "remote")}\n` +
+          `stream: true\nsteps:\n  - name: Build\n    type: local\n    command: echo built\n` +
+          `  - name: Upload\n    type: transfer\n    localPath: ${path.join(dir, "dist")}\n`,
+        "utf8"
+      );
+      const res = runCli(["--config", cfg, "--json"]);
+      assert(res.status === 0, `Expected success, got: ${res.stderr}`);
+      const lines = res.stdout.split("\n").filter(Boolean);
+      assert(lines.length > 0, "Expected progress events on stdout");
+      for (const line of lines) {
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          throw new Error(`Not a JSON line on stdout: ${line}`);
+        }
+        assert(event.type === "progress" && event.host === "web1", `Unexpected event: ${line}`);
+      }
+      assert(res.stderr.includes("built"), "Human output goes to stderr");
+      assert(
+        fs.readFileSync(path.join(dir, "remote/app.js"), "utf8") === "console.log(1);",
+        "The transfer ran"
+      );
+    });
+
+    test("CLI rollback uses the releases path of the config", () => {
+      const makeReleases = (base) => {
+        fs.mkdirpSync(path.join(base, "releases/20240101000000"));
+        fs.mkdirpSync(path.join(base, "releases/20240201000000"));
+        fs.symlinkSync("releases/20240201000000", path.join(base, "current"));
+      };
+      const stepBase = path.join(dir, "app");
+      const explicitBase = path.join(dir, "releases-root");
+      makeReleases(stepBase);
+      makeReleases(explicitBase);
+      const cfg = path.join(dir, ".daffodil.yml");
+      const hostConfig =
+        `hosts:\n  - name: web1\n    host: 127.0.0.1\n    user: deploy\n    port: ${server.port}\n` +
+        `password: secret\nhostKeyPolicy: "off"\nsshConfig: false\nremotePath: ${path.join(dir, "remote")}\n` +
+        `steps:\n  - name: Upload\n    type: transfer\n    strategy: releases\n` +
+        `    localPath: ${path.join(dir, "dist")}\n    destinationPath: ${stepBase}\n`;
+
+      fs.writeFileSync(cfg, hostConfig, "utf8");
+      let res = runCli(["rollback", "--config", cfg]);
+      assert(res.status === 0, `Expected success, got: ${res.stderr}`);
+      assert(
+        fs.readlinkSync(path.join(stepBase, "current")) === "releases/20240101000000",
+        "The transfer step's destinationPath is rolled back"
+      );
+
+      fs.writeFileSync(cfg, `${hostConfig}releasesPath: ${explicitBase}\n`, "utf8");
+      res = runCli(["rollback", "--config", cfg]);
+      assert(res.status === 0, `Expected success, got: ${res.stderr}`);
+      assert(
+        fs.readlinkSync(path.join(explicitBase, "current")) === "releases/20240101000000",
+        "releasesPath takes precedence"
+      );
+    });
+  } finally {
+    server.stop();
+    fs.removeSync(dir);
+  }
+}
+
 console.log("\n" + "=".repeat(50));
 console.log(`✓ Passed: ${testsPassed}`);
 console.log(`✗ Failed: ${testsFailed}`);